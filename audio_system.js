@@ -1,3 +1,16 @@
+import { GameState } from './game_state.js';
+import { FacilityEvent } from './event_bus.js';
+import { DIFFICULTY_PRESETS } from './difficulty.js';
+import { DEFAULT_TUNING } from './tuning.js';
+
+// [CAPTIONS]
+// Every sound emits FacilityEvent.CAPTION when it starts, with a caption key
+// (Captions looks up the text as "caption.<key>"). Looping sounds keep
+// re-sending while they play so their caption line stays up.
+const CAPTION_HOLD = 2.0; // Seconds a caption stays on screen
+const CAPTION_REFRESH = 1.0; // Min seconds between identical captions for one sound
+const FOOTSTEPS_POSITION = { x: 0, z: 3 }; // Phantom footsteps follow a few meters behind (listener space; the stalker's come from it)
+
 export class AudioSystem {
     constructor(camera) {
         this.camera = camera;
@@ -17,10 +30,24 @@ export class AudioSystem {
         this.pressureFilter.frequency.value = 20000; // Open
         this.pressureFilter.connect(this.masterGain);
 
+        // Volume buses (settings): music runs through the pressure filter, the rest straight to master
+        this.musicGain = this.ctx.createGain();
+        this.musicGain.connect(this.pressureFilter);
+        this.effectsGain = this.ctx.createGain(); // Spook, footsteps, whispers, heartbeat
+        this.effectsGain.connect(this.masterGain);
+        this.ambienceGain = this.ctx.createGain(); // Clock, violin, tinnitus, hum
+        this.ambienceGain.connect(this.masterGain);
+
         // Ambience (Stillness sound)
         this.humOsc = null;
         this.humGain = null;
         this.isHumming = false;
+
+        this.events = null;
+        this.lastCaptions = {}; // sound -> { text, direction, time }
+
+        this.tuning = DIFFICULTY_PRESETS.standard; // Phantom footstep chances
+        this.audioTuning = { ...DEFAULT_TUNING.audio }; // Heartbeat, whisper and footstep timing (tuning.json)
     }
 
     initialize(bgMusicElement) {
@@ -29,7 +56,7 @@ export class AudioSystem {
         // Connect BG Music to our graph
         try {
             const track = this.ctx.createMediaElementSource(bgMusicElement);
-            track.connect(this.pressureFilter);
+            track.connect(this.musicGain);
             this.initialized = true;
             console.log("AudioSystem: Wired to BG Music");
 
@@ -86,9 +113,10 @@ export class AudioSystem {
         gain.gain.value = 3.0; // Very Loud
 
         source.connect(gain);
-        gain.connect(this.masterGain);
+        gain.connect(this.effectsGain);
 
         source.start(0);
+        this.caption('spook', 'shriek');
     }
 
     startClock() {
@@ -102,7 +130,7 @@ export class AudioSystem {
         this.clockGain.gain.value = 1.0; // Loud loop
 
         this.clockSource.connect(this.clockGain);
-        this.clockGain.connect(this.masterGain);
+        this.clockGain.connect(this.ambienceGain);
 
         this.clockSource.start(0);
         this.isClockPlaying = true;
@@ -132,7 +160,7 @@ export class AudioSystem {
         this.violinGain.gain.value = 0;
 
         this.violinSource.connect(this.violinGain);
-        this.violinGain.connect(this.masterGain);
+        this.violinGain.connect(this.ambienceGain);
 
         this.violinSource.start(0);
         this.isViolinPlaying = true;
@@ -159,6 +187,7 @@ export class AudioSystem {
         // Trigger Range: 500 units (Approx 300u before edge, visible range)
         if (distToVoid < 500) {
             if (!this.isViolinPlaying) this.startViolin();
+            if (this.isViolinPlaying) this.caption('violin', 'violin');
 
             // FADE OUT BG MUSIC (Carpathian) - STOP immediately when violin starts
             if (this.pressureFilter) {
@@ -224,7 +253,7 @@ export class AudioSystem {
             this.tinnitusGain.gain.value = 0;
 
             this.tinnitusNode.connect(this.tinnitusGain);
-            this.tinnitusGain.connect(this.masterGain);
+            this.tinnitusGain.connect(this.ambienceGain);
             this.tinnitusNode.start();
         }
 
@@ -235,22 +264,127 @@ export class AudioSystem {
 
         // Target Volume (Max 0.1)
         const targetVol = progress * 0.1;
+        if (targetVol > 0.005) this.caption('tinnitus', 'ringing');
 
         const t = this.ctx.currentTime;
         this.tinnitusGain.gain.setTargetAtTime(targetVol, t, 0.1);
     }
 
+    bindStateMachine(states) {
+        states.onEnter(GameState.INTRO, (from) => {
+            if (from !== GameState.BOOT) this.reset();
+            // Try to start immediately (if cached)
+            this.startClock();
+        });
+        states.onEnter(GameState.CORRIDOR, (from) => {
+            if (from === GameState.INTRO) this.stopClock();
+        });
+    }
+
+    bindSettings(settings) {
+        const apply = () => {
+            this.masterGain.gain.value = settings.get('masterVolume');
+            this.musicGain.gain.value = settings.get('musicVolume');
+            this.effectsGain.gain.value = settings.get('effectsVolume');
+            this.ambienceGain.gain.value = settings.get('ambienceVolume');
+        };
+        settings.subscribe(apply);
+        apply();
+    }
+
+    bindEvents(events) {
+        this.events = events;
+        events.on(FacilityEvent.WHISPER, ({ pFactor }) => {
+            if (this.initialized) this.spawnWhisper(pFactor);
+        });
+        // Something real this time: its steps are heard whatever the paranoia
+        events.on(FacilityEvent.STALKER_NEAR, () => this.startPhantomFootsteps(true));
+    }
+
+    // Forced footsteps are placed where the stalker actually is (read every tick)
+    bindStalker(stalker) {
+        this.stalker = stalker;
+    }
+
+    bindTuning(tuning) {
+        const apply = () => {
+            this.audioTuning = { ...tuning.get('audio') };
+        };
+        tuning.subscribe(apply);
+        apply();
+    }
+
+    setDifficulty(difficulty) {
+        this.tuning = difficulty.tuning;
+    }
+
+    reset() {
+        // In-place restart: silence every run-scoped voice but keep the context and decoded buffers
+        this.stopClock();
+        this.stopViolin();
+        this.stopFootsteps();
+        if (this.isHumming) this.stopHum();
+
+        if (this.tinnitusNode) {
+            try {
+                this.tinnitusNode.stop();
+                this.tinnitusNode.disconnect();
+                this.tinnitusGain.disconnect();
+            } catch (e) { }
+            this.tinnitusNode = null;
+            this.tinnitusGain = null;
+        }
+
+        this.pressureFilter.frequency.value = 20000;
+        this.pressureFilter.gain.value = 1.0;
+
+        this.heartbeatTimer = 0;
+        this.whisperTimer = undefined;
+        this.footstepsGraceTimer = 0;
+        this.footstepDurationTimer = 0;
+        this.lastCaptions = {};
+    }
+
+    caption(sound, key, direction = '', duration = CAPTION_HOLD) {
+        if (!this.events) return;
+
+        // Looping sounds call this every tick: only re-send on a change, or to keep the line up
+        const now = this.ctx.currentTime;
+        const last = this.lastCaptions[sound];
+        if (last && last.key === key && last.direction === direction && now - last.time < CAPTION_REFRESH) return;
+
+        this.lastCaptions[sound] = { key: key, direction: direction, time: now };
+        this.events.emit(FacilityEvent.CAPTION, { sound: sound, key: key, direction: direction, duration: duration });
+    }
+
+    // Panner position is in listener space (the listener never moves): -Z ahead, +X right
+    describeDirection(x, z) {
+        const angle = Math.atan2(x, -z); // 0 = ahead, +PI/2 = right
+        if (Math.abs(angle) <= Math.PI / 4) return 'ahead';
+        if (Math.abs(angle) >= Math.PI * 3 / 4) return 'behind';
+        return angle > 0 ? 'right' : 'left';
+    }
+
     resume() {
         if (this.ctx.state === 'suspended') {
             this.ctx.resume();
         }
     }
 
+    suspend() {
+        // Pause: freezes every scheduled sound (heartbeat, hum, whispers) where it is
+        if (this.ctx.state === 'running') {
+            this.ctx.suspend();
+        }
+    }
+
     // ... (existing methods remain, replacing from manageStillnessHum down)
 
     update(delta, metrics, pFactor) {
         if (!this.initialized) return;
 
+        if (this.isClockPlaying) this.caption('clock', 'clock');
+
         // ENDGAME AUDIO CUTOFF
         if (pFactor >= 0.99) {
             this.pressureFilter.gain.value = 0;
@@ -261,7 +395,7 @@ export class AudioSystem {
 
         this.manageSilencePressure(delta, metrics);
         this.manageStillnessHum(delta, metrics, pFactor);
-        this.manageHeartbeat(delta, pFactor);
+        this.manageHeartbeat(delta, pFactor, metrics);
         this.manageTinnitus(delta, metrics);
         this.manageTinnitus(delta, metrics);
         this.manageViolin(delta, metrics);
@@ -289,8 +423,15 @@ export class AudioSystem {
         this.footstepsGain = this.ctx.createGain();
         this.footstepsGain.gain.value = 1.0;
 
+        this.footstepsPanner = this.ctx.createPanner();
+        this.footstepsPanner.panningModel = 'HRTF';
+        this.footstepsPanner.distanceModel = 'linear'; // Near-constant level
+        this.footstepsPanner.positionX.value = FOOTSTEPS_POSITION.x;
+        this.footstepsPanner.positionZ.value = FOOTSTEPS_POSITION.z;
+
         this.footstepsSource.connect(this.footstepsGain);
-        this.footstepsGain.connect(this.masterGain);
+        this.footstepsGain.connect(this.footstepsPanner);
+        this.footstepsPanner.connect(this.effectsGain);
 
         this.footstepsSource.start(0);
         this.isFootstepsPlaying = true;
@@ -302,28 +443,33 @@ export class AudioSystem {
                 this.footstepsSource.stop();
                 this.footstepsSource.disconnect();
                 this.footstepsGain.disconnect();
+                this.footstepsPanner.disconnect();
             } catch (e) { }
             this.footstepsSource = null;
         }
         this.isFootstepsPlaying = false;
+        this.footstepsForced = false;
     }
 
     manageFootsteps(delta, metrics, pFactor) {
         // PHANTOM FOOTSTEPS: Rare event when Paranoia > 20%
         // Simulates finding someone walking behind you.
-        if (pFactor <= 0.2) {
+        if (pFactor <= 0.2 && !this.footstepsForced) {
             if (this.isFootstepsPlaying) this.stopFootsteps();
             return;
         }
 
         if (this.isFootstepsPlaying) {
+            this.placeFootsteps(metrics);
+            this.captionFootsteps();
+
             // INTERRUPT LOGIC:
             // If player stops, sound continues for ~1.5s then stops (Simulating 'catching up')
             if (metrics.isStationary) {
                 if (this.footstepsGraceTimer === undefined) this.footstepsGraceTimer = 0;
                 this.footstepsGraceTimer += delta;
 
-                if (this.footstepsGraceTimer > 1.5) {
+                if (this.footstepsGraceTimer > this.audioTuning.footstepGrace) {
                     this.stopFootsteps();
                     this.footstepsGraceTimer = 0;
                 }
@@ -333,29 +479,60 @@ export class AudioSystem {
             }
 
             // PLAYING DURATION (While Moving)
-            // Play for a longer burst (8 seconds) then vanish
+            // Play for a longer burst (footstepDuration seconds) then vanish
             if (this.footstepDurationTimer === undefined) this.footstepDurationTimer = 0;
             this.footstepDurationTimer += delta;
 
-            if (this.footstepDurationTimer > 12.0) {
+            if (this.footstepDurationTimer > this.audioTuning.footstepDuration) {
                 this.stopFootsteps();
                 this.footstepDurationTimer = 0;
             }
         } else {
             // IDLE STATE - Chance to trigger
-            // Very rare: 0.01% base chance per frame
-            const chance = 0.0001 + (pFactor * 0.0002);
+            // Very rare: 0.01% base chance per frame on Standard (see difficulty.js)
+            // Louder movement draws them out: crouching 0.7x, walking 1x, sprinting 1.5x
+            const noise = metrics.noise !== undefined ? metrics.noise : 0.5;
+            const chance = (this.tuning.footstepChance + (pFactor * this.tuning.footstepChancePerParanoia)) * (0.5 + noise);
 
             // Only start if player is moving
             if (!metrics.isStationary && Math.random() < chance) {
-                this.startFootsteps();
-                this.footstepsGain.gain.value = 1.5; // Louder (was 0.6)
-                this.footstepDurationTimer = 0;
-                this.footstepsGraceTimer = 0;
+                this.startPhantomFootsteps();
             }
         }
     }
 
+    // forced: the stalker's (played below the paranoia threshold too)
+    startPhantomFootsteps(forced = false) {
+        if (!this.initialized || this.isFootstepsPlaying || !this.footstepsBuffer) return;
+        this.startFootsteps();
+        this.footstepsForced = forced;
+        this.footstepsGain.gain.value = 1.5; // Louder (was 0.6)
+        this.footstepDurationTimer = 0;
+        this.footstepsGraceTimer = 0;
+        // Placed and captioned by manageFootsteps (it knows where the player is facing)
+    }
+
+    // World position -> listener space (-Z ahead, +X right) from the player's heading
+    placeFootsteps(metrics) {
+        let x = FOOTSTEPS_POSITION.x;
+        let z = FOOTSTEPS_POSITION.z;
+        if (this.footstepsForced && this.stalker && this.stalker.active) {
+            const dx = this.stalker.position.x - metrics.lastPosition.x;
+            const dz = this.stalker.position.z - metrics.lastPosition.z;
+            const facing = metrics.facing;
+            x = dz * facing.x - dx * facing.z;
+            z = -(dx * facing.x + dz * facing.z);
+        }
+        this.footstepsPanner.positionX.value = x;
+        this.footstepsPanner.positionZ.value = z;
+    }
+
+    // From where the panner is now, relative to the (fixed) listener
+    captionFootsteps() {
+        const panner = this.footstepsPanner;
+        this.caption('footsteps', 'footsteps', this.describeDirection(panner.positionX.value, panner.positionZ.value));
+    }
+
 
 
     manageSilencePressure(delta, metrics) {
@@ -389,6 +566,7 @@ export class AudioSystem {
 
         if (targetGain > 0) {
             if (!this.isHumming) this.startHum();
+            this.caption('hum', pFactor >= 0.99 ? 'drone' : 'hum');
 
             if (this.humGain) {
                 // Smooth ramp
@@ -414,10 +592,12 @@ export class AudioSystem {
             this.spawnWhisper(pFactor);
 
             // Reset Timer: 
-            // Low Paranoia (0.2): Every 10-20s
-            // High Paranoia (1.0): Every 2-5s
-            const minTime = 2 + (1.0 - pFactor) * 8;
-            const maxTime = 5 + (1.0 - pFactor) * 15;
+            // Low Paranoia: towards whisperIntervalCalm (10-20s)
+            // High Paranoia (1.0): whisperIntervalPanic (2-5s)
+            const calm = this.audioTuning.whisperIntervalCalm;
+            const panic = this.audioTuning.whisperIntervalPanic;
+            const minTime = panic[0] + (1.0 - pFactor) * (calm[0] - panic[0]);
+            const maxTime = panic[1] + (1.0 - pFactor) * (calm[1] - panic[1]);
             this.whisperTimer = minTime + Math.random() * (maxTime - minTime);
         }
     }
@@ -448,7 +628,7 @@ export class AudioSystem {
         // Connect
         source.connect(gainNode);
         gainNode.connect(panner);
-        panner.connect(this.masterGain);
+        panner.connect(this.effectsGain);
 
         // Play
         const now = this.ctx.currentTime;
@@ -465,6 +645,8 @@ export class AudioSystem {
 
         // Pitch Shift (Detune) for variety
         source.detune.value = (Math.random() - 0.5) * 1200; // +/- 1 octave
+
+        this.caption('whisper', 'whispers', this.describeDirection(panner.positionX.value, panner.positionZ.value));
     }
 
     createNoiseBuffer() {
@@ -508,7 +690,7 @@ export class AudioSystem {
 
         this.humOsc.connect(this.humGain);
         this.humOsc2.connect(this.humGain);
-        this.humGain.connect(this.masterGain);
+        this.humGain.connect(this.ambienceGain);
 
         this.humOsc.start();
         this.humOsc2.start();
@@ -538,7 +720,7 @@ export class AudioSystem {
         }
     }
 
-    manageHeartbeat(delta, pFactor) {
+    manageHeartbeat(delta, pFactor, metrics) {
         // [CONTINUOUS RHYTHM]
         // We update the timer regardless of paranoia so the heartbeat
         // stays "on grid" and doesn't stutter when pFactor fluctuates.
@@ -547,20 +729,24 @@ export class AudioSystem {
         if (!this.heartbeatTimer) this.heartbeatTimer = 0;
         this.heartbeatTimer -= delta;
 
-        // Calculate Rate (BPM) based on pFactor
-        // Clamp pFactor for rate calculation to avoid extreme slow/fast
-        const rateP = Math.max(0.05, Math.min(1.0, pFactor));
+        // EXERTION: sprinting pushes the heart up, and it settles as stamina comes back
+        const exertion = metrics.isSprinting ? 1.0 : 1.0 - (metrics.stamina !== undefined ? metrics.stamina : 1.0);
+        const pulse = Math.max(pFactor, exertion * 0.8);
+
+        // Calculate Rate (BPM) based on pFactor (or exertion, whichever is higher)
+        // Clamp for rate calculation to avoid extreme slow/fast
+        const rateP = Math.max(0.05, Math.min(1.0, pulse));
 
-        // 0.05 -> 50 BPM (1.2s)
-        // 1.00 -> 150 BPM (0.4s)
-        const minPulse = 0.4;
-        const maxPulse = 1.2;
+        // 0.05 -> heartbeatMinBPM (50 BPM, 1.2s)
+        // 1.00 -> heartbeatMaxBPM (150 BPM, 0.4s)
+        const minPulse = 60 / this.audioTuning.heartbeatMaxBPM;
+        const maxPulse = 60 / this.audioTuning.heartbeatMinBPM;
         const interval = maxPulse - (rateP * (maxPulse - minPulse));
 
         if (this.heartbeatTimer <= 0) {
-            // Only play audibly if paranoia is high enough
-            if (pFactor > 0.05) {
-                this.playHeartbeat(pFactor);
+            // Only play audibly if paranoia (or exertion) is high enough
+            if (pulse > 0.05) {
+                this.playHeartbeat(pulse);
             }
             // Reset timer (Loop)
             this.heartbeatTimer += interval;
@@ -579,6 +765,10 @@ export class AudioSystem {
         this.triggerBeatImpulse(time, volume);
         // Beat 2 (Diastole) - delayed by 150ms
         this.triggerBeatImpulse(time + 0.15, volume * 0.7);
+
+        // Same bands the rate follows (50 -> 150 BPM)
+        const pace = pFactor > 0.75 ? 'heartbeatRacing' : (pFactor > 0.4 ? 'heartbeatQuickening' : 'heartbeat');
+        this.caption('heartbeat', pace);
     }
 
     triggerBeatImpulse(startTime, vol) {
@@ -595,7 +785,7 @@ export class AudioSystem {
         gain.gain.exponentialRampToValueAtTime(0.001, startTime + 0.2); // Decay
 
         osc.connect(gain);
-        gain.connect(this.masterGain);
+        gain.connect(this.effectsGain);
 
         osc.start(startTime);
         osc.stop(startTime + 0.25);
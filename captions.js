@@ -0,0 +1,62 @@
+import { FacilityEvent } from './event_bus.js';
+
+// [CAPTIONS]
+// Closed captions for the sounds AudioSystem plays, in their own region (separate
+// from #voice-overlay, which belongs to the facility's messages). One line per sound:
+// a new caption for the same sound replaces its line and restarts its timer.
+// Texts come from the localization table: "caption.<key>" for the sound and
+// "caption.direction.<direction>" for where it is.
+
+export class Captions {
+    constructor(events, strings) {
+        this.strings = strings;
+        this.enabled = false;
+        this.lines = new Map(); // sound -> { element, remaining }
+
+        this.region = document.getElementById('caption-region');
+
+        events.on(FacilityEvent.CAPTION, (caption) => this.show(caption));
+    }
+
+    bindSettings(settings) {
+        const apply = () => {
+            this.enabled = settings.get('captions');
+            if (!this.enabled) this.clear();
+            if (this.region) this.region.style.bottom = `${(settings.get('captionPosition') * 100).toFixed(1)}%`;
+        };
+        settings.subscribe(apply);
+        apply();
+    }
+
+    show({ sound, key, direction, duration }) {
+        if (!this.enabled || !this.region) return;
+
+        let line = this.lines.get(sound);
+        if (!line) {
+            const element = document.createElement('div');
+            element.className = 'caption-line';
+            this.region.appendChild(element);
+            line = { element: element, remaining: 0 };
+            this.lines.set(sound, line);
+        }
+
+        const text = this.strings.t(`caption.${key}`);
+        line.element.innerText = direction ? `[${text} — ${this.strings.t(`caption.direction.${direction}`)}]` : `[${text}]`;
+        line.remaining = duration;
+    }
+
+    // Called once per rendered frame
+    update(frameDelta) {
+        this.lines.forEach((line, sound) => {
+            line.remaining -= frameDelta;
+            if (line.remaining > 0) return;
+            line.element.remove();
+            this.lines.delete(sound);
+        });
+    }
+
+    clear() {
+        this.lines.forEach(line => line.element.remove());
+        this.lines.clear();
+    }
+}
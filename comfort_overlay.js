@@ -0,0 +1,52 @@
+// [COMFORT OVERLAY]
+// Reduced-motion stand-ins for the camera effects Player keeps off screen in comfort mode:
+//   FOV breathing / surges -> vignette that breathes with the same phase
+//   camera twist (roll)    -> red color shift + tighter vignette for the twist's duration
+// Paranoia still reads clearly; nothing moves the view.
+
+const MAX_TWIST_ANGLE = 0.5; // Radians, roughly the strongest twist FacilitySystem produces
+
+export class ComfortOverlay {
+    constructor(player) {
+        this.player = player;
+        this.enabled = false;
+
+        this.vignette = document.getElementById('comfort-vignette');
+        this.tint = document.getElementById('comfort-tint');
+    }
+
+    bindSettings(settings) {
+        const apply = () => {
+            this.enabled = settings.get('reducedMotion');
+            if (!this.enabled) this.render(0, 0);
+        };
+        settings.subscribe(apply);
+        apply();
+    }
+
+    reset() {
+        this.render(0, 0);
+    }
+
+    // Called once per rendered frame (twistAngle: FacilitySystem.getTwistAngle())
+    update(pFactor, twistAngle = 0) {
+        if (!this.enabled) return;
+        const twist = Math.min(Math.abs(twistAngle) / MAX_TWIST_ANGLE, 1);
+
+        // Same gating as Player.updateDistortions: nothing while stable or in the void
+        let vignette = 0;
+        if (pFactor >= 0.2 && !this.player.isFalling) {
+            const surge = this.player.fovSurge && this.player.fovSurge.active ? 1.5 : 1.0;
+            const breathing = 0.5 + 0.5 * this.player.distortionPulse; // 0..1
+            vignette = (0.25 + 0.35 * breathing) * pFactor * surge;
+        }
+
+        vignette = Math.min(1, vignette + twist * 0.4);
+        this.render(vignette, twist * 0.35);
+    }
+
+    render(vignette, tint) {
+        if (this.vignette) this.vignette.style.opacity = vignette.toFixed(3);
+        if (this.tint) this.tint.style.opacity = tint.toFixed(3);
+    }
+}
@@ -0,0 +1,214 @@
+import * as THREE from 'three';
+import { PARANOIA_FACTORS } from './facility_system.js';
+import { PILLAR_SIZE } from './tuning.js';
+import { PLAYER_RADIUS } from './player.js';
+
+// [DEBUG PANEL]
+// Developer overlay, only created with ?debug in the URL. Backquote (`) toggles it.
+// Shows live metrics and each paranoia factor's contribution, lets you force paranoia/events, and draws chunk boundaries,
+// pillar collision boxes and the active light count into the scene.
+// Forced actions are not part of replays.
+
+const REFRESH_INTERVAL = 0.1; // Seconds between readout / helper rebuilds
+
+// Pillar collision half-extents incl. player radius (see Player.updateMovement)
+const PILLAR_HALF_X = PILLAR_SIZE.x / 2 + PLAYER_RADIUS;
+const PILLAR_HALF_Z = PILLAR_SIZE.z / 2 + PLAYER_RADIUS;
+
+function stalkerState(stalker, tuning) {
+    if (!stalker.active) return `in ${Math.max(0, tuning.stalkerDelay - stalker.timer).toFixed(0)}s`;
+    const mode = stalker.seen ? 'SEEN' : (stalker.retreating ? 'RETREATING' : (stalker.lunging ? 'LUNGING' : (stalker.target ? 'MOVING' : 'WAITING')));
+    return `${mode} ${stalker.distance.toFixed(1)}m behind`;
+}
+
+export class DebugPanel {
+    constructor(client) {
+        this.client = client;
+        this.visible = false;
+        this.refreshTimer = 0;
+
+        this.buildDom();
+        this.buildHelpers();
+
+        document.addEventListener('keydown', (e) => {
+            if (e.code === 'Backquote') this.toggle();
+        });
+
+        console.log("DEBUG: Panel available (press ` to toggle)");
+    }
+
+    buildDom() {
+        const panel = document.createElement('div');
+        panel.id = 'debug-panel';
+        panel.style.display = 'none';
+
+        // Clicks here must not grab pointer lock (Player locks on any body click)
+        panel.addEventListener('click', (e) => e.stopPropagation());
+
+        const title = document.createElement('div');
+        title.className = 'debug-title';
+        title.innerText = 'DEBUG  [`]  (Esc pauses and frees the mouse)';
+        panel.appendChild(title);
+
+        // Paranoia slider
+        const sliderRow = document.createElement('label');
+        sliderRow.className = 'debug-row';
+        sliderRow.innerText = 'PARANOIA ';
+        this.slider = document.createElement('input');
+        this.slider.type = 'range';
+        this.slider.min = '0';
+        this.slider.max = '100';
+        this.slider.step = '1';
+        this.slider.addEventListener('input', () => {
+            this.client.system.setParanoiaLevel(Number(this.slider.value));
+        });
+        sliderRow.appendChild(this.slider);
+        panel.appendChild(sliderRow);
+
+        // Forced events
+        const system = this.client.system;
+        const audio = this.client.audioSystem;
+        const stalker = this.client.stalker;
+        const buttons = document.createElement('div');
+        buttons.className = 'debug-buttons';
+        [
+            ['BLACKOUT', () => system.forceBlackout()],
+            ['FLICKER', () => system.forceFlicker()],
+            ['TWIST', () => system.forceCameraTwist()],
+            ['MIRAGE', () => system.toggleMirage()],
+            ['FOOTSTEPS', () => audio.startPhantomFootsteps()], // Cut off again below 20% paranoia
+            ['STALKER', () => stalker.summon()],
+            ['HEARTBEAT', () => { if (audio.initialized) audio.playHeartbeat(system.getParanoiaFactor()); }],
+            ['ENDGAME', () => system.forceEndgame()]
+        ].forEach(([label, action]) => {
+            const button = document.createElement('button');
+            button.innerText = label;
+            button.addEventListener('click', action);
+            buttons.appendChild(button);
+        });
+        panel.appendChild(buttons);
+
+        // Scene helper toggle
+        const helperRow = document.createElement('label');
+        helperRow.className = 'debug-row';
+        this.helperToggle = document.createElement('input');
+        this.helperToggle.type = 'checkbox';
+        this.helperToggle.checked = true;
+        this.helperToggle.addEventListener('change', () => {
+            this.helpers.visible = this.visible && this.helperToggle.checked;
+        });
+        helperRow.appendChild(this.helperToggle);
+        helperRow.appendChild(document.createTextNode(' CHUNKS / PILLAR BOXES'));
+        panel.appendChild(helperRow);
+
+        this.readout = document.createElement('pre');
+        this.readout.className = 'debug-readout';
+        panel.appendChild(this.readout);
+
+        document.body.appendChild(panel);
+        this.panel = panel;
+    }
+
+    buildHelpers() {
+        this.helpers = new THREE.Group();
+        this.helpers.visible = false;
+        this.client.scene.add(this.helpers);
+
+        this.chunkMaterial = new THREE.LineBasicMaterial({ color: 0x00ffff, depthTest: false });
+        this.pillarMaterial = new THREE.LineBasicMaterial({ color: 0xff00ff, depthTest: false });
+
+        // Unit outlines, scaled per instance
+        this.frameGeometry = new THREE.EdgesGeometry(new THREE.PlaneGeometry(1, 1)); // Chunk boundary (XY)
+        this.boxGeometry = new THREE.EdgesGeometry(new THREE.BoxGeometry(1, 1, 1)); // Pillar collision
+    }
+
+    toggle() {
+        this.visible = !this.visible;
+        this.panel.style.display = this.visible ? 'block' : 'none';
+        this.helpers.visible = this.visible && this.helperToggle.checked;
+        this.refreshTimer = REFRESH_INTERVAL; // Refresh immediately
+    }
+
+    // Called once per rendered frame
+    update(frameDelta) {
+        if (!this.visible) return;
+
+        this.refreshTimer += frameDelta;
+        if (this.refreshTimer < REFRESH_INTERVAL) return;
+        this.refreshTimer = 0;
+
+        this.updateReadout();
+        if (this.helpers.visible) this.rebuildHelpers();
+    }
+
+    updateReadout() {
+        const { player, system, generator, states } = this.client;
+        const m = player.metrics;
+        const pos = player.controls.getObject().position;
+
+        // Don't fight the user while they drag the slider
+        if (document.activeElement !== this.slider) this.slider.value = String(Math.round(system.paranoiaLevel));
+
+        const activeLights = generator.lights.filter(l => l.parent && l.visible && l.intensity > 0.05).length;
+        const fixed = (v, digits = 2) => (typeof v === 'number' ? v.toFixed(digits) : String(v));
+
+        this.readout.innerText = [
+            `STATE        ${states.current}`,
+            `SEED         ${this.client.seed}`,
+            `DIFFICULTY   ${system.difficulty.name.toUpperCase()}`,
+            `PARANOIA     ${fixed(system.paranoiaLevel, 1)} (${system.statusBand})`,
+            `HOLD TIMER   ${fixed(system.maxParanoiaTimer, 1)} / ${system.tuning.psychosisHold}`,
+            `SURVIVAL     ${fixed(system.survivalTime, 1)}s`,
+            ``,
+            `POSITION     ${fixed(pos.x)}, ${fixed(pos.y)}, ${fixed(pos.z)}`,
+            `DISTANCE     ${fixed(m.totalDistance, 1)}`,
+            `STATIONARY   ${m.isStationary} (${fixed(m.stationaryTime, 1)}s)`,
+            `FORWARD      ${fixed(m.continuousForwardTime, 1)}s`,
+            `POSTURE      ${m.isSprinting ? 'SPRINT' : (m.isCrouching ? 'CROUCH' : 'WALK')} (stamina ${fixed(m.stamina)}, noise ${fixed(m.noise, 1)})`,
+            `DARKNESS     ${fixed(system.getDarkness())}`,
+            `LOOKING BACK ${m.isLookingBack} (energy ${fixed(m.lookBackCount)})`,
+            `TURN RATE    ${fixed(m.rotationSpeed)} rad/s`,
+            `GAZE         ${m.gazeTarget ? (m.gazeKind || m.gazeTarget.type) : '-'} (${fixed(m.gazeDuration, 1)}s)`,
+            `MOVING       back ${fixed(m.backwardAmount)}, sideways ${fixed(m.strafeAmount)}`,
+            `LIGHT        unlit ${fixed(system.unlitTime, 1)}s, fixture proximity ${fixed(system.lightProximity)}`,
+            `ZONES        ${m.zoneHistory.join(' ')}`,
+            `WATCHER      ${system.watched.size} watched, ${[...system.watched.values()].filter(w => w.shift).length} shifted`,
+            `STALKER      ${stalkerState(this.client.stalker, system.tuning)}`,
+            ``,
+            `FACTOR          PTS/S    RUN`,
+            ...PARANOIA_FACTORS.map(f => `${f.label.padEnd(14)}${fixed(system.factorRates[f.id]).padStart(7)}${fixed(system.factorTotals[f.id], 1).padStart(7)}`),
+            ``,
+            `CHUNKS       ${generator.chunks.length}`,
+            `PILLARS      ${generator.pillarPositions.length}`,
+            `LIGHTS       ${activeLights} lit / ${generator.lights.length}`
+        ].join('\n');
+    }
+
+    rebuildHelpers() {
+        const generator = this.client.generator;
+
+        // Line objects share geometry/material, so clearing is enough
+        this.helpers.clear();
+
+        // Chunk boundaries: a frame across the corridor at each chunk's leading edge
+        generator.chunks.forEach(chunk => {
+            const zStart = chunk.userData.zStart;
+            if (zStart === undefined) return;
+            [zStart, zStart - generator.chunkSize].forEach(z => {
+                const frame = new THREE.LineSegments(this.frameGeometry, this.chunkMaterial);
+                frame.scale.set(6, 6, 1);
+                frame.position.set(0, 3, z);
+                this.helpers.add(frame);
+            });
+        });
+
+        // Pillar collision boxes exactly as Player.updateMovement tests them
+        generator.pillarPositions.forEach(pillar => {
+            if (!pillar) return;
+            const box = new THREE.LineSegments(this.boxGeometry, this.pillarMaterial);
+            box.scale.set(PILLAR_HALF_X * 2, 3, PILLAR_HALF_Z * 2);
+            box.position.set(pillar.x, 1.5, pillar.z);
+            this.helpers.add(box);
+        });
+    }
+}
@@ -0,0 +1,218 @@
+import { SETTINGS_SCHEMA } from './settings.js';
+
+// [DIFFICULTY]
+// Every tunable rate of the paranoia model, random events, messaging and phantom
+// footsteps, as named presets. STANDARD is the original tuning. A run keeps the
+// resolved values (not just the name) in its save and replay, so it always
+// replays / resumes with the numbers it was played with.
+//
+// Chances are per simulation tick (60 Hz); gains and decays are paranoia points per second
+// at full strength (FacilitySystem's PARANOIA_FACTORS scale each one by how strongly it applies).
+
+export const DIFFICULTY_NAMES = SETTINGS_SCHEMA.difficulty.options;
+
+const STANDARD = {
+    // Paranoia gains
+    lookBackGain: 20.0,
+    forwardGain: 1.0, // Walking straight on for more than forwardGainAfter seconds
+    forwardGainAfter: 3.0,
+    sprintGain: 2.5,
+    windedGain: 1.5, // Extra while sprinting below windedBelow stamina
+    windedBelow: 0.25,
+    darkCrouchGain: 4.0, // Scaled by darkness (1 = blackout)
+    gazeGain: 1.5, // Staring at a wall or pillar for more than gazeAfter seconds
+    gazeAfter: 2.5,
+    unlitGain: 1.0, // More than unlitAfter seconds away from working light
+    unlitAfter: 3.0,
+    unlitDistance: 5.0, // Further than this from the nearest fixture is unlit...
+    unlitDimming: 0.5, // ...and so is a fixture drifted this dim
+    backwardGain: 3.0, // Scaled by backward speed (1 = full walking speed)
+    strafeGain: 0.75, // Scaled by sideways speed
+    darkLightGain: 3.0, // Scaled by darkness and closeness to the nearest fixture
+    darkLightRange: 6.0,
+
+    // Paranoia decay
+    stationaryDecay: 0.5,
+    walkingDecay: 0.5,
+
+    // Psychosis hold (seconds at max paranoia before the endgame, and how fast it bleeds off below max)
+    psychosisHold: 20.0,
+    psychosisBleed: 0.5,
+
+    // Random events
+    blackoutChance: 0.00025, // Above 95% paranoia only
+    flickerChance: 0.00025,
+    flickerChancePerParanoia: 0.025,
+    twistChance: 0.0001, // Above 95% paranoia only
+    twistChancePerParanoia: 0.002,
+
+    // Watcher (a pillar stared at for watcherStareAfter seconds may shift once out of view)
+    watcherStareAfter: 2.0,
+    watcherChance: 0.02, // Per tick while out of view
+
+    // Stalker (see stalker.js; distances in world units, speeds in units per second)
+    stalkerDelay: 45.0, // Seconds in the corridor before it appears...
+    stalkerStartDistance: 30.0, // ...this far behind
+    stalkerMaxDistance: 35.0, // Never further back than this
+    stalkerSpeed: 2.0, // Between pillars, while unseen
+    stalkerSpeedPerParanoia: 2.0,
+    stalkerWait: 1.5, // Seconds behind each pillar before the next
+    stalkerRetreat: 4.0, // When seen in the open
+    stalkerWarnDistance: 8.0, // Footsteps close behind
+    stalkerCatchDistance: 1.2,
+
+    // Messages (cooldown shrinks with paranoia, never below the minimum)
+    messageCooldown: 15.0,
+    messageCooldownMin: 8.0,
+    messageCooldownPerParanoia: 7.0,
+
+    // Phantom footsteps (AudioSystem, per frame while moving)
+    footstepChance: 0.0001,
+    footstepChancePerParanoia: 0.0002
+};
+
+export const DIFFICULTY_PRESETS = Object.freeze({
+    calm: Object.freeze({
+        ...STANDARD,
+        lookBackGain: 12.0,
+        forwardGain: 0.6,
+        sprintGain: 1.5,
+        windedGain: 1.0,
+        darkCrouchGain: 2.5,
+        gazeGain: 0.8,
+        unlitGain: 0.5,
+        backwardGain: 1.8,
+        strafeGain: 0.4,
+        darkLightGain: 1.8,
+        stationaryDecay: 0.8,
+        walkingDecay: 0.8,
+        psychosisHold: 30.0,
+        psychosisBleed: 1.0,
+        blackoutChance: 0.00015,
+        flickerChance: 0.00015,
+        flickerChancePerParanoia: 0.015,
+        twistChance: 0.00005,
+        twistChancePerParanoia: 0.001,
+        watcherStareAfter: 3.0,
+        watcherChance: 0.01,
+        stalkerDelay: 90.0,
+        stalkerSpeed: 1.2,
+        stalkerSpeedPerParanoia: 1.2,
+        stalkerWait: 2.5,
+        stalkerRetreat: 6.0,
+        messageCooldown: 20.0,
+        messageCooldownMin: 12.0,
+        messageCooldownPerParanoia: 8.0,
+        footstepChance: 0.00005,
+        footstepChancePerParanoia: 0.0001
+    }),
+    standard: Object.freeze({ ...STANDARD }),
+    nightmare: Object.freeze({
+        ...STANDARD,
+        lookBackGain: 30.0,
+        forwardGain: 1.5,
+        sprintGain: 4.0,
+        windedGain: 2.5,
+        darkCrouchGain: 6.0,
+        gazeGain: 2.5,
+        gazeAfter: 1.5,
+        unlitGain: 1.8,
+        unlitAfter: 2.0,
+        backwardGain: 4.5,
+        strafeGain: 1.2,
+        darkLightGain: 5.0,
+        stationaryDecay: 0.3,
+        walkingDecay: 0.3,
+        psychosisHold: 12.0,
+        psychosisBleed: 0.25,
+        blackoutChance: 0.0005,
+        flickerChance: 0.0004,
+        flickerChancePerParanoia: 0.04,
+        twistChance: 0.0002,
+        twistChancePerParanoia: 0.004,
+        watcherStareAfter: 1.2,
+        watcherChance: 0.05,
+        stalkerDelay: 20.0,
+        stalkerStartDistance: 25.0,
+        stalkerSpeed: 2.8,
+        stalkerSpeedPerParanoia: 2.5,
+        stalkerWait: 0.8,
+        stalkerRetreat: 2.5,
+        messageCooldown: 10.0,
+        messageCooldownMin: 5.0,
+        messageCooldownPerParanoia: 5.0,
+        footstepChance: 0.0002,
+        footstepChancePerParanoia: 0.0004
+    })
+});
+
+// Custom = STANDARD scaled by the CUSTOM DIFFICULTY settings
+function buildCustom(get) {
+    const gain = get('customParanoiaGain');
+    const decay = get('customParanoiaDecay');
+    const events = get('customEventRate');
+    const messages = get('customMessageRate');
+    const footsteps = get('customFootstepRate');
+    const stalker = get('customStalkerSpeed');
+
+    return {
+        ...STANDARD,
+        lookBackGain: STANDARD.lookBackGain * gain,
+        forwardGain: STANDARD.forwardGain * gain,
+        sprintGain: STANDARD.sprintGain * gain,
+        windedGain: STANDARD.windedGain * gain,
+        darkCrouchGain: STANDARD.darkCrouchGain * gain,
+        gazeGain: STANDARD.gazeGain * gain,
+        unlitGain: STANDARD.unlitGain * gain,
+        backwardGain: STANDARD.backwardGain * gain,
+        strafeGain: STANDARD.strafeGain * gain,
+        darkLightGain: STANDARD.darkLightGain * gain,
+        stationaryDecay: STANDARD.stationaryDecay * decay,
+        walkingDecay: STANDARD.walkingDecay * decay,
+        psychosisHold: get('customPsychosisHold'),
+        blackoutChance: STANDARD.blackoutChance * events,
+        flickerChance: STANDARD.flickerChance * events,
+        flickerChancePerParanoia: STANDARD.flickerChancePerParanoia * events,
+        twistChance: STANDARD.twistChance * events,
+        twistChancePerParanoia: STANDARD.twistChancePerParanoia * events,
+        watcherChance: STANDARD.watcherChance * events,
+        stalkerSpeed: STANDARD.stalkerSpeed * stalker,
+        stalkerSpeedPerParanoia: STANDARD.stalkerSpeedPerParanoia * stalker,
+        messageCooldown: STANDARD.messageCooldown / messages,
+        messageCooldownMin: STANDARD.messageCooldownMin / messages,
+        messageCooldownPerParanoia: STANDARD.messageCooldownPerParanoia / messages,
+        footstepChance: STANDARD.footstepChance * footsteps,
+        footstepChancePerParanoia: STANDARD.footstepChancePerParanoia * footsteps
+    };
+}
+
+// -> { name, tuning }. Without settings (headless), Custom uses the settings' defaults.
+export function buildDifficulty(name, settings = null) {
+    if (name === 'custom') {
+        const get = settings ? (key) => settings.get(key) : (key) => SETTINGS_SCHEMA[key].default;
+        return { name: name, tuning: buildCustom(get) };
+    }
+    const preset = DIFFICULTY_PRESETS[name];
+    if (!preset) throw new Error(`DIFFICULTY: Unknown difficulty "${name}"`);
+    return { name: name, tuning: { ...preset } };
+}
+
+// Rates added after difficulties were first saved. A replay without them was played
+// without them, so there they restore as 0 (replays must stay exact).
+const LATER_RATES = ['gazeGain', 'unlitGain', 'backwardGain', 'strafeGain', 'darkLightGain', 'watcherChance',
+    'stalkerSpeed', 'stalkerSpeedPerParanoia', 'stalkerCatchDistance'];
+
+// Difficulty stored in a save or replay. Missing (older files) means STANDARD.
+// Missing keys (an older build's tuning) take the named preset's values in a save
+// (Custom: STANDARD's), so a resumed run gets the newer features; in a replay
+// (replay = true) LATER_RATES are 0 and the rest are STANDARD's.
+export function restoreDifficulty(data, replay = false) {
+    if (!data || typeof data.name !== 'string' || !data.tuning) data = { name: 'standard', tuning: {} };
+
+    const tuning = replay ? { ...STANDARD } : { ...(DIFFICULTY_PRESETS[data.name] || STANDARD) };
+    if (replay) LATER_RATES.forEach(key => { tuning[key] = 0; });
+    for (const key in STANDARD) {
+        if (typeof data.tuning[key] === 'number' && Number.isFinite(data.tuning[key])) tuning[key] = data.tuning[key];
+    }
+    return { name: data.name, tuning: tuning };
+}
@@ -0,0 +1,13 @@
+// [FILE EXPORT]
+// Saves generated text (replays, telemetry) through a temporary download link.
+
+export function downloadFile(filename, text, type = 'application/json') {
+    const blob = new Blob([text], { type: type });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
@@ -1,10 +1,22 @@
 import * as THREE from 'three';
+import { createRNG } from './random.js';
+import { GameState } from './game_state.js';
+import { FacilityEvent } from './event_bus.js';
+import { DEFAULT_TUNING, PILLAR_SIZE } from './tuning.js';
 
 export class FacilityGenerator {
-    constructor(scene, camera) {
+    constructor(scene, camera, seed = 'DEFAULT', options = {}) {
         this.scene = scene;
         this.camera = camera;
 
+        // Shared photosensitivity limiter (see flash_limiter.js). Without one, every flash is allowed.
+        this.flashLimiter = options.flashLimiter || null;
+
+        // [SEEDED GENERATION]
+        // Every layout decision draws from this.rng, which is re-seeded per chunk
+        // from (run seed + chunk index) so the same seed rebuilds the same corridor.
+        this.setSeed(seed);
+
         const texLoader = new THREE.TextureLoader();
         const glassTex = texLoader.load('textures/corridor_lamp.png');
 
@@ -30,9 +42,14 @@ export class FacilityGenerator {
         this.lights = [];
         this.interactables = []; // Objects interaction can target
         this.pillarPositions = []; // Track pillar world positions for collision
-
-        this.chunkSize = 20; // Smaller chunks for more granular updates
-        this.renderDistance = 80; // How far ahead to generate
+        this.props = new Map(); // Watchable pillars: gazeId -> { mesh, collider, attached } (see registerProp)
+
+        // Layout and lights come from tuning.json (see bindTuning)
+        this.chunkSize = DEFAULT_TUNING.world.chunkSize; // Smaller chunks for more granular updates
+        this.renderDistance = DEFAULT_TUNING.world.renderDistance; // How far ahead to generate
+        this.pillarSpacing = DEFAULT_TUNING.world.pillarSpacing;
+        this.tunedLayout = this.getLayout(); // Layout the next corridor is built with
+        this.lightTuning = { ...DEFAULT_TUNING.lights };
         this.zOffset = 0; // Tracks the "front" of the world
 
         // [MICRO-ENVIRONMENTAL DRIFT STATE]
@@ -49,9 +66,86 @@ export class FacilityGenerator {
         this.mirageMesh = null;
         this.createMirage();
 
+        // [STALKER] (moved by Stalker, see placeStalker)
+        this.stalkerMesh = null;
+        this.createStalker();
+
         console.log("ENV: Generator v2 Initialized. ChunkSize:", this.chunkSize);
     }
 
+    bindStateMachine(states) {
+        states.onEnter(GameState.INTRO, (from) => {
+            if (from !== GameState.BOOT) this.reset();
+            this.createIntroRoom();
+        });
+        states.onEnter(GameState.CORRIDOR, (from) => {
+            if (from !== GameState.INTRO) return;
+            this.destroyIntroRoom();
+            this.createInitialCorridor();
+        });
+        states.onEnter(GameState.ENDGAME, () => this.enterEndgame());
+    }
+
+    bindEvents(events) {
+        events.on(FacilityEvent.BLACKOUT_START, () => {
+            this.forceBlackout = true;
+            if (this.flashLimiter) this.flashLimiter.note(); // Lights cut instantly
+        });
+        events.on(FacilityEvent.BLACKOUT_END, () => {
+            this.forceBlackout = false;
+            this.hideMirage();
+        });
+        events.on(FacilityEvent.FLICKER, () => this.flickerLights());
+        events.on(FacilityEvent.MIRAGE_SHOW, ({ playerZ }) => this.showMirage(playerZ));
+        events.on(FacilityEvent.MIRAGE_HIDE, () => this.hideMirage());
+        events.on(FacilityEvent.DRIFT_CHANGED, ({ intensity }) => this.setDriftIntensity(intensity));
+        events.on(FacilityEvent.PROP_SHIFTED, (shift) => this.shiftProp(shift));
+    }
+
+    bindTuning(tuning) {
+        const apply = () => {
+            const world = tuning.get('world');
+            this.renderDistance = world.renderDistance;
+
+            // The chunk grid (and save anchors) assume one layout per corridor
+            this.tunedLayout = { chunkSize: world.chunkSize, pillarSpacing: world.pillarSpacing };
+            if (this.chunks.length === 0) {
+                this.setLayout(this.tunedLayout);
+            } else if (this.tunedLayout.chunkSize !== this.chunkSize || this.tunedLayout.pillarSpacing !== this.pillarSpacing) {
+                console.log("ENV: Layout change applies from the next run");
+            }
+
+            this.lightTuning = { ...tuning.get('lights') };
+            this.lights.forEach(light => this.tuneLight(light));
+        };
+        tuning.subscribe(apply);
+        apply();
+    }
+
+    getLayout() {
+        return { chunkSize: this.chunkSize, pillarSpacing: this.pillarSpacing };
+    }
+
+    // Only while no corridor exists (intro, restore, replay start)
+    setLayout(layout) {
+        this.chunkSize = layout.chunkSize;
+        this.pillarSpacing = layout.pillarSpacing;
+    }
+
+    allowFlash() {
+        return !this.flashLimiter || this.flashLimiter.request();
+    }
+
+    setSeed(seed) {
+        this.seed = String(seed);
+        this.rng = createRNG(this.seed);
+    }
+
+    chunkIndexFor(zStart) {
+        // Chunks start at 0 and advance in -Z by chunkSize
+        return Math.round(-zStart / this.chunkSize);
+    }
+
     setDriftIntensity(intensity) {
         // 0.0 to 1.0
         this.drift.pillarOffset = intensity * 1.5; // Up to 1.5 units drift
@@ -69,9 +163,33 @@ export class FacilityGenerator {
         this.mirageMesh = new THREE.Sprite(mat);
         this.mirageMesh.scale.set(3, 8, 1); // Tall, imposing
         this.mirageMesh.position.set(0, 1.5, 0); // Center
+        this.mirageMesh.visible = false; // Only shown during blackouts
         this.scene.add(this.mirageMesh);
     }
 
+    createStalker() {
+        // The mirage figure as a dark silhouette: it stands in the light, it doesn't glow
+        const mat = new THREE.SpriteMaterial({
+            map: this.mirageTexture,
+            color: 0x0a0a0a,
+            transparent: true,
+            opacity: 0.9,
+            depthWrite: false
+        });
+
+        this.stalkerMesh = new THREE.Sprite(mat);
+        this.stalkerMesh.scale.set(1.6, 4.2, 1); // Person-sized
+        this.stalkerMesh.visible = false;
+        this.scene.add(this.stalkerMesh);
+    }
+
+    // position: { x, z } on the floor, or null to hide it
+    placeStalker(position) {
+        if (!this.stalkerMesh) return;
+        this.stalkerMesh.visible = !!position;
+        if (position) this.stalkerMesh.position.set(position.x, 2.1, position.z);
+    }
+
     showMirage(playerZ) {
         if (!this.mirageMesh) return;
 
@@ -95,7 +213,8 @@ export class FacilityGenerator {
         if (!this.mirageMesh || !this.mirageMesh.visible) return;
 
         // GLITCH: Random opacity flickering
-        if (Math.random() < 0.7) {
+        // (the faint range is always fine; each clear flash has to get past the flash limiter)
+        if (Math.random() < 0.7 || !this.allowFlash()) {
             // Mostly very faint or invisible
             this.mirageMesh.material.opacity = Math.random() * 0.05;
         } else {
@@ -554,6 +673,12 @@ export class FacilityGenerator {
     destroyIntroRoom() {
         if (this.introRoom) {
             this.scene.remove(this.introRoom);
+            this.disposeObject(this.introRoom);
+
+            // Drop intro props from gaze targets
+            const introObjects = new Set();
+            this.introRoom.traverse(obj => introObjects.add(obj));
+            this.interactables = this.interactables.filter(obj => !introObjects.has(obj));
             this.introRoom = null;
         }
     }
@@ -576,6 +701,9 @@ export class FacilityGenerator {
             this.updateLights(delta);
         }
 
+        // ANIMATE MIRAGE GLITCH (while shown)
+        this.updateMirageEffect();
+
         // [ENDGAME LOGIC]
         if (this.stopGeneration || this.isEndgame) {
             // Stop generating new corridor chunks
@@ -619,16 +747,23 @@ export class FacilityGenerator {
     }
 
     generateCorridorChunk(zStart) {
+        // Deterministic stream for this chunk (same seed + index = same chunk)
+        const chunkIndex = this.chunkIndexFor(zStart);
+        this.rng = createRNG(`${this.seed}#${chunkIndex}`);
+
+        // Drift going in: together with the seed this rebuilds the chunk exactly (save/resume)
+        const driftBefore = { ...this.drift };
+
         // UPDATE DRIFT (Cumulative)
         this.drift.loopCount++;
         // Slight randomness added to drift each chunk
-        this.drift.heightOffset += (Math.random() - 0.5) * 0.1; // +/- 0.05 per chunk
+        this.drift.heightOffset += (this.rng() - 0.5) * 0.1; // +/- 0.05 per chunk
         this.drift.heightOffset = THREE.MathUtils.clamp(this.drift.heightOffset, -1.0, 1.5); // Clamp
 
-        this.drift.lightDimming += (Math.random() - 0.3) * 0.1; // Bias towards dimming
+        this.drift.lightDimming += (this.rng() - 0.3) * 0.1; // Bias towards dimming
         this.drift.lightDimming = THREE.MathUtils.clamp(this.drift.lightDimming, -0.5, 0.8);
 
-        this.drift.pillarOffset += (Math.random() - 0.5) * 0.2;
+        this.drift.pillarOffset += (this.rng() - 0.5) * 0.2;
         this.drift.pillarOffset = THREE.MathUtils.clamp(this.drift.pillarOffset, -1.0, 1.0);
 
         const length = this.chunkSize;
@@ -657,6 +792,7 @@ export class FacilityGenerator {
         const leftWall = new THREE.Mesh(wallGeo, this.materials.wall);
         leftWall.position.set(-width / 2 - 0.5, height / 2, 0);
         leftWall.receiveShadow = true;
+        leftWall.userData.gazeKind = 'wall'; // Player.metrics.gazeKind
         corridor.add(leftWall);
 
         const rightWall = leftWall.clone();
@@ -667,8 +803,8 @@ export class FacilityGenerator {
         const chunkWorldZ = zStart - length / 2; // Chunk center world position
 
         // Vary pillar spacing slightly
-        // FIXED: Rigid grid alignment (Spacing 8)
-        const spacing = 8;
+        // FIXED: Rigid grid alignment (tuned spacing)
+        const spacing = this.pillarSpacing;
         const chunkStartWorld = chunkWorldZ - length / 2;
 
         let alignBase = Math.ceil(chunkStartWorld / spacing) * spacing;
@@ -681,6 +817,7 @@ export class FacilityGenerator {
 
         // Position
         corridor.position.z = zStart - length / 2; // centered
+        corridor.userData = { index: chunkIndex, zStart: zStart, driftBefore: driftBefore, propShifts: [] };
         this.scene.add(corridor);
         this.chunks.push(corridor);
 
@@ -689,24 +826,25 @@ export class FacilityGenerator {
     }
 
     createPillar(parentGroup, roomWidth, roomHeight, zPos, chunkWorldZ) {
-        const pillarGeo = new THREE.BoxGeometry(1.5, roomHeight, 2);
+        const pillarGeo = new THREE.BoxGeometry(PILLAR_SIZE.x, roomHeight, PILLAR_SIZE.z);
         const pillarMat = this.materials.wall;
 
         // DRIFT CALCULATION (Random jitter)
-        const dX1 = (Math.random() - 0.5) * this.drift.pillarOffset;
-        const dRot1 = (Math.random() - 0.5) * (this.drift.pillarOffset * 0.5);
+        const dX1 = (this.rng() - 0.5) * this.drift.pillarOffset;
+        const dRot1 = (this.rng() - 0.5) * (this.drift.pillarOffset * 0.5);
 
-        const dX2 = (Math.random() - 0.5) * this.drift.pillarOffset;
-        const dRot2 = (Math.random() - 0.5) * (this.drift.pillarOffset * 0.5);
+        const dX2 = (this.rng() - 0.5) * this.drift.pillarOffset;
+        const dRot2 = (this.rng() - 0.5) * (this.drift.pillarOffset * 0.5);
 
         // Z-Drift (Paranoia spacing funkiness)
-        const dZ1 = (Math.random() - 0.5) * this.drift.pillarOffset;
-        const dZ2 = (Math.random() - 0.5) * this.drift.pillarOffset;
+        const dZ1 = (this.rng() - 0.5) * this.drift.pillarOffset;
+        const dZ2 = (this.rng() - 0.5) * this.drift.pillarOffset;
 
         // Left Pillar
         const leftPillar = new THREE.Mesh(pillarGeo, pillarMat);
         leftPillar.position.set(-roomWidth / 2 + 0.5 + dX1, roomHeight / 2, zPos + dZ1);
         leftPillar.rotation.y = dRot1;
+        leftPillar.userData.gazeKind = 'pillar';
         parentGroup.add(leftPillar);
         this.interactables.push(leftPillar);
 
@@ -726,10 +864,9 @@ export class FacilityGenerator {
         const worldZ1 = (zPos + dZ1) + chunkWorldZ;
         const worldZ2 = (zPos + dZ2) + chunkWorldZ;
 
-        this.pillarPositions.push(
-            { x: -roomWidth / 2 + 0.5 + dX1, z: worldZ1 },
-            { x: roomWidth / 2 - 0.5 + dX2, z: worldZ2 }
-        );
+        const leftCollider = { x: -roomWidth / 2 + 0.5 + dX1, z: worldZ1 };
+        const rightCollider = { x: roomWidth / 2 - 0.5 + dX2, z: worldZ2 };
+        this.pillarPositions.push(leftCollider, rightCollider);
 
         // Light fixture on pillar (Right Side, Right Pillar)
         const lightGeo = new THREE.BoxGeometry(0.2, 1.5, 0.2);
@@ -741,22 +878,76 @@ export class FacilityGenerator {
         parentGroup.add(lightMesh);
 
         // Actual light
-        // Apply drift to intensity (1.5 base)
-        let intensity = 1.5 - this.drift.lightDimming;
-        intensity = Math.max(0.1, intensity); // Never fully black
-
-        const pointLight = new THREE.PointLight(0xffaa00, intensity, 12);
+        // Apply drift to intensity (tuned base, see tuneLight)
+        const pointLight = new THREE.PointLight(0xffaa00, 0, this.lightTuning.range);
         pointLight.position.set(roomWidth / 2 - 2 + dX2, roomHeight - 2, lightZ);
 
         // Link mesh to light for flickering
         pointLight.userData = {
-            originalIntensity: intensity,
+            dimming: this.drift.lightDimming,
             mesh: lightMesh
         };
+        this.tuneLight(pointLight);
+        pointLight.intensity = pointLight.userData.originalIntensity;
 
         pointLight.visible = true; // Force visible
         parentGroup.add(pointLight);
         this.lights.push(pointLight);
+
+        // Ids from the pillar row's world Z, so a regenerated chunk (resume) gets the same ones
+        const row = Math.round(zPos + chunkWorldZ);
+        this.registerProp(`pillar:${row}:L`, leftPillar, leftCollider);
+        this.registerProp(`pillar:${row}:R`, rightPillar, rightCollider, [lightMesh, pointLight]);
+    }
+
+    // [WATCHER PROPS]
+    // Pillars FacilitySystem can shift while the player isn't looking (PROP_SHIFTED).
+    // A shift lives on the mesh itself, so it lasts exactly as long as the chunk.
+
+    registerProp(id, mesh, collider, attached = []) {
+        mesh.userData.gazeId = id; // Player.metrics.gazeId
+        this.props.set(id, { mesh: mesh, collider: collider, attached: attached });
+    }
+
+    // World floor position of a prop -> { x, z }, or null once its chunk is gone
+    getPropPosition(id) {
+        const prop = this.props.get(id);
+        return prop ? { x: prop.collider.x, z: prop.collider.z } : null;
+    }
+
+    shiftProp({ id, kind, dx, dz, angle }) {
+        const prop = this.props.get(id);
+        if (!prop) return;
+        const { mesh, collider } = prop;
+
+        if (kind === 'move') {
+            // The light fixture on a pillar goes with it
+            [mesh, ...prop.attached].forEach(obj => {
+                obj.position.x += dx;
+                obj.position.z += dz;
+            });
+            collider.x += dx;
+            collider.z += dz;
+        } else if (kind === 'rotate') {
+            mesh.rotation.y += angle;
+        } else if (kind === 'duplicate') {
+            const copy = mesh.clone();
+            copy.position.x += dx;
+            copy.position.z += dz;
+            mesh.parent.add(copy);
+            this.interactables.push(copy);
+
+            const copyCollider = { x: collider.x + dx, z: collider.z + dz };
+            this.pillarPositions.push(copyCollider);
+            this.registerProp(`${id}+`, copy, copyCollider); // The copy can be watched too
+        }
+        mesh.parent.userData.propShifts.push(id);
+    }
+
+    // Tuned base intensity minus this light's drift dimming; re-run on every tuning reload
+    tuneLight(light) {
+        light.distance = this.lightTuning.range;
+        light.userData.originalIntensity = Math.max(this.lightTuning.minIntensity, this.lightTuning.intensity - light.userData.dimming);
     }
 
     // [ARCHITECTURAL CORRECTION METHODS]
@@ -765,15 +956,16 @@ export class FacilityGenerator {
         this.scene.remove(chunk);
         this.removeLightsInChunk(chunk);
 
-        // Remove from interactables
+        // Remove from interactables (and the watcher's props)
         chunk.children.forEach(child => {
             const idx = this.interactables.indexOf(child);
             if (idx > -1) this.interactables.splice(idx, 1);
+            if (child.userData.gazeId) this.props.delete(child.userData.gazeId);
         });
 
         // Clean up old pillar positions (behind player - positive Z relative to chunk)
         const chunkZ = chunk.position.z;
-        this.pillarPositions = this.pillarPositions.filter(p => p.z < chunkZ + 20);
+        this.pillarPositions = this.pillarPositions.filter(p => p.z < chunkZ + this.chunkSize);
     }
 
     updateIntroTick(delta) {
@@ -785,7 +977,7 @@ export class FacilityGenerator {
             let intensity = 1.5;
             let panelOpacity = 1.0;
 
-            if (Math.random() < 0.05) { // Occasional flicker
+            if (Math.random() < 0.05 && this.allowFlash()) { // Occasional flicker
                 const noise = Math.random();
                 intensity = 0.5 + noise * 1.0;
                 panelOpacity = 0.3 + noise * 0.7;
@@ -849,6 +1041,7 @@ export class FacilityGenerator {
 
     flickerLights() {
         if (this.forceBlackout) return;
+        if (!this.allowFlash()) return; // One call = one flash, however many lights it hits
 
         // Called by FacilitySystem events
         // Aggressively dim or boost lights
@@ -896,10 +1089,128 @@ export class FacilityGenerator {
         });
     }
 
+    // Nearest corridor fixture on the floor plan -> { distance, dimming }, or null.
+    // Only seeded data (position, drift dimming): flicker and tuned intensity are presentation.
+    getNearestLight(x, z) {
+        let nearest = null;
+        for (const light of this.lights) {
+            if (!light.parent) continue;
+            const dx = light.position.x + light.parent.position.x - x;
+            const dz = light.position.z + light.parent.position.z - z;
+            const distance = Math.sqrt(dx * dx + dz * dz);
+            if (!nearest || distance < nearest.distance) {
+                nearest = { distance: distance, dimming: light.userData.dimming };
+            }
+        }
+        return nearest;
+    }
+
     removeLightsInChunk(chunk) {
         this.lights = this.lights.filter(l => l.parent !== null);
     }
 
+    // [SAVE / RESUME]
+
+    getSaveState(playerZ) {
+        // Anchor on the chunk behind the player (or the oldest live one):
+        // resuming regenerates forward from there with the drift it was built with.
+        const anchorIndex = Math.max(0, this.chunkIndexFor(playerZ) - 1);
+        const anchor = this.chunks.find(c => c.userData.index === anchorIndex) || this.chunks[0];
+
+        if (!anchor) {
+            return { seed: this.seed, layout: this.getLayout(), zOffset: this.zOffset, drift: { ...this.drift } };
+        }
+        return {
+            seed: this.seed,
+            layout: this.getLayout(),
+            zOffset: anchor.userData.zStart,
+            drift: { ...anchor.userData.driftBefore }
+        };
+    }
+
+    restoreSaveState(state, playerZ) {
+        this.setSeed(state.seed);
+        this.setLayout(state.layout);
+        this.drift = { ...this.drift, ...state.drift };
+        this.zOffset = state.zOffset;
+
+        // Stream chunks in exactly as update() would
+        while (Math.abs(playerZ - this.zOffset) < this.renderDistance) {
+            this.generateCorridorChunk(this.zOffset);
+            this.zOffset -= this.chunkSize;
+        }
+        console.log(`ENV: Corridor restored at Z ${playerZ.toFixed(1)} (${this.chunks.length} chunks)`);
+    }
+
+    // [RESET (In-Place Restart)]
+
+    reset() {
+        // Tear down everything a run created so the intro can start again without a reload.
+        // Shared materials/textures (this.materials, mirage, stalker) are kept alive.
+        this.destroyIntroRoom();
+
+        this.chunks.forEach(chunk => {
+            this.scene.remove(chunk);
+            this.disposeObject(chunk);
+        });
+        this.chunks = [];
+        this.lights = [];
+        this.interactables = [];
+        this.pillarPositions = [];
+        this.props.clear();
+        this.setLayout(this.tunedLayout); // Picks up layout tuned during the last run
+
+        // Endgame assets
+        ['blackHole', 'starfield', 'cosmosSphere', 'corridorBorder', 'distantSun'].forEach(key => {
+            if (this[key]) {
+                this.scene.remove(this[key]);
+                this.disposeObject(this[key]);
+                this[key] = null;
+            }
+        });
+        this.halo = null;
+        this.starGlowMat = null;
+
+        if (this.isEndgame && this.corridorFog) {
+            this.scene.fog = this.corridorFog;
+        }
+
+        this.isEndgame = false;
+        this.stopGeneration = false;
+        this.endgameTargetZ = undefined;
+        this.corridorEndZ = undefined;
+
+        // Generation state
+        this.zOffset = 0;
+        this.forceBlackout = false;
+        this.drift = {
+            loopCount: 0,
+            heightOffset: 0,
+            lightDimming: 0,
+            pillarOffset: 0
+        };
+
+        this.hideMirage();
+        this.placeStalker(null);
+        this.clockTimer = 0;
+
+        console.log("ENV: Generator Reset.");
+    }
+
+    disposeObject(root) {
+        const shared = Object.values(this.materials);
+
+        root.traverse(obj => {
+            if (obj.geometry) obj.geometry.dispose();
+            if (obj.material) {
+                const mats = Array.isArray(obj.material) ? obj.material : [obj.material];
+                mats.forEach(mat => {
+                    if (!shared.includes(mat)) mat.dispose();
+                });
+            }
+        });
+    }
+
     // [ENDGAME: COSMIC DISSOLUTION]
 
     enterEndgame() {
@@ -907,7 +1218,8 @@ export class FacilityGenerator {
         this.isEndgame = true;
         this.stopGeneration = true;
 
-        // Clear fog for the void completely
+        // Clear fog for the void completely (kept for reset)
+        this.corridorFog = this.scene.fog;
         this.scene.fog = null;
 
         console.log("ENV: Entering Endgame Sequence... Corridor ending.");
@@ -1002,6 +1314,7 @@ export class FacilityGenerator {
         const bgSphere = new THREE.Mesh(bgGeo, bgMat);
         bgSphere.position.set(0, 0, endZ); // Center on Void
         this.scene.add(bgSphere);
+        this.cosmosSphere = bgSphere;
 
         // SCATTER STARS IN TORUS / CYLINDER SHELL
         // Ensure NO stars in the central path (Player -> Black Hole line)
@@ -1055,29 +1368,35 @@ export class FacilityGenerator {
         const color = 0xffffff;
         const material = new THREE.MeshBasicMaterial({ color: color, side: THREE.DoubleSide });
 
+        // Grouped so reset() can remove the whole frame
+        const border = new THREE.Group();
+
         // 1. Bottom (Floor)
         const bottom = new THREE.Mesh(new THREE.PlaneGeometry(width, thickness), material);
         bottom.position.set(0, 0.05, zPos);
         bottom.rotation.x = -Math.PI / 2;
-        this.scene.add(bottom);
+        border.add(bottom);
 
         // 2. Top (Ceiling)
         const top = new THREE.Mesh(new THREE.PlaneGeometry(width, thickness), material);
         top.position.set(0, height - 0.05, zPos);
         top.rotation.x = Math.PI / 2;
-        this.scene.add(top);
+        border.add(top);
 
         // 3. Left (Wall)
         const left = new THREE.Mesh(new THREE.PlaneGeometry(thickness, height), material);
         left.position.set(-width / 2 + 0.05, height / 2, zPos);
         left.rotation.y = Math.PI / 2;
-        this.scene.add(left);
+        border.add(left);
 
         // 4. Right (Wall)
         const right = new THREE.Mesh(new THREE.PlaneGeometry(thickness, height), material);
         right.position.set(width / 2 - 0.05, height / 2, zPos);
         right.rotation.y = -Math.PI / 2;
-        this.scene.add(right);
+        border.add(right);
+
+        this.scene.add(border);
+        this.corridorBorder = border;
     }
 
     createBlackHole() {
@@ -0,0 +1,96 @@
+// [EVENT BUS]
+// Typed publish/subscribe between FacilitySystem and Stalker (decide), and the visual,
+// audio and UI layers (react). AudioSystem also publishes captions for the
+// sounds it plays. Every event name and its payload fields are declared in
+// EVENT_SCHEMA; emitting anything else is a programming error.
+
+export const FacilityEvent = Object.freeze({
+    BLACKOUT_START: 'blackout-start',
+    BLACKOUT_END: 'blackout-end',
+    FLICKER: 'flicker',
+    CAMERA_TWIST_START: 'camera-twist-start',
+    CAMERA_TWIST_END: 'camera-twist-end',
+    MIRAGE_SHOW: 'mirage-show',
+    MIRAGE_HIDE: 'mirage-hide',
+    DRIFT_CHANGED: 'drift-changed',
+    WHISPER: 'whisper',
+    SURVIVAL_TICK: 'survival-tick',
+    MESSAGE_SHOWN: 'message-shown',
+    PARANOIA_BAND_CHANGED: 'paranoia-band-changed',
+    ENDGAME_ENTERED: 'endgame-entered',
+    PROP_SHIFTED: 'prop-shifted',
+    STALKER_NEAR: 'stalker-near',
+    STALKER_CAUGHT: 'stalker-caught',
+    CAPTION: 'caption'
+});
+
+const E = FacilityEvent;
+
+// Payload field -> typeof
+const EVENT_SCHEMA = {
+    [E.BLACKOUT_START]: { duration: 'number' },
+    [E.BLACKOUT_END]: {},
+    [E.FLICKER]: { pFactor: 'number' },
+    [E.CAMERA_TWIST_START]: { direction: 'number', duration: 'number' }, // Roll side (+1/-1); the angle is FacilitySystem.getTwistAngle()
+    [E.CAMERA_TWIST_END]: {},
+    [E.MIRAGE_SHOW]: { playerZ: 'number' },
+    [E.MIRAGE_HIDE]: {},
+    [E.DRIFT_CHANGED]: { intensity: 'number' }, // 0.0 - 1.0
+    [E.WHISPER]: { pFactor: 'number' },
+    [E.SURVIVAL_TICK]: { seconds: 'number' }, // Whole seconds survived
+    // id: language-independent message id, text: localized (see localization.js)
+    [E.MESSAGE_SHOWN]: { id: 'string', text: 'string', pool: 'string', pFactor: 'number' },
+    // band: STABLE ... PSYCHOSIS (stable id), label: localized
+    [E.PARANOIA_BAND_CHANGED]: { band: 'string', label: 'string', previous: 'string', statusClass: 'string', level: 'number' },
+    [E.ENDGAME_ENTERED]: { survivalTime: 'number' },
+    // A watched pillar changed out of view. kind: 'move' | 'rotate' | 'duplicate' (copy at dx, dz)
+    [E.PROP_SHIFTED]: { id: 'string', kind: 'string', dx: 'number', dz: 'number', angle: 'number' },
+    // The stalker (stalker.js) came within warning distance / reached the player
+    [E.STALKER_NEAR]: { distance: 'number' },
+    [E.STALKER_CAUGHT]: { distance: 'number' },
+    // sound: stable id (one caption line per sound), direction: 'ahead' | 'behind' | 'left' | 'right' | '' (not spatial)
+    [E.CAPTION]: { sound: 'string', key: 'string', direction: 'string', duration: 'number' }
+};
+
+export class EventBus {
+    constructor() {
+        this.handlers = {};
+    }
+
+    // Returns an unsubscribe function
+    on(type, handler) {
+        this.assertKnown(type);
+        if (!this.handlers[type]) this.handlers[type] = [];
+        this.handlers[type].push(handler);
+        return () => this.off(type, handler);
+    }
+
+    off(type, handler) {
+        if (!this.handlers[type]) return;
+        this.handlers[type] = this.handlers[type].filter(h => h !== handler);
+    }
+
+    emit(type, payload = {}) {
+        this.assertKnown(type);
+
+        const schema = EVENT_SCHEMA[type];
+        for (const field in schema) {
+            if (typeof payload[field] !== schema[field]) {
+                throw new TypeError(`EVENTS: "${type}" expects ${field}: ${schema[field]}, got ${typeof payload[field]}`);
+            }
+        }
+
+        // A broken listener must not stop the others (or the game loop)
+        (this.handlers[type] || []).forEach(handler => {
+            try {
+                handler(payload);
+            } catch (e) {
+                console.error(`EVENTS: Listener for "${type}" failed`, e);
+            }
+        });
+    }
+
+    assertKnown(type) {
+        if (!(type in EVENT_SCHEMA)) throw new Error(`EVENTS: Unknown event "${type}"`);
+    }
+}
@@ -1,24 +1,90 @@
+import { GameState } from './game_state.js';
+import { FacilityEvent } from './event_bus.js';
+import { createRNG, shiftIdFor } from './random.js';
+import { buildDifficulty } from './difficulty.js';
+import { Localization } from './localization.js';
+
+// [PARANOIA MODEL]
+// Each factor is a difficulty gain (points per second, see difficulty.js) weighted by how
+// strongly it applies right now (0-1). Relief factors take paranoia away. Every input is
+// part of the simulation (metrics, the system's own events, seeded light fixtures), never
+// rendered light levels, so runs still replay exactly.
+export const PARANOIA_FACTORS = [
+    { id: 'lookBack', label: 'LOOK BACK', gain: 'lookBackGain', weight: (p) => (p.isLookingBack ? 1 : 0) },
+    { id: 'forward', label: 'FORWARD', gain: 'forwardGain', weight: (p, t) => (p.continuousForwardTime > t.forwardGainAfter ? 1 : 0) },
+    { id: 'sprint', label: 'SPRINT', gain: 'sprintGain', weight: (p) => (p.isSprinting ? 1 : 0) },
+    { id: 'winded', label: 'WINDED', gain: 'windedGain', weight: (p, t) => (p.isSprinting && p.stamina < t.windedBelow ? 1 : 0) },
+    { id: 'darkCrouch', label: 'DARK CROUCH', gain: 'darkCrouchGain', weight: (p, t, s) => (p.isCrouching ? s.getDarkness() : 0) },
+    { id: 'gaze', label: 'GAZE', gain: 'gazeGain', weight: (p, t) => ((p.gazeKind === 'wall' || p.gazeKind === 'pillar') && p.gazeDuration > t.gazeAfter ? 1 : 0) },
+    { id: 'unlit', label: 'UNLIT', gain: 'unlitGain', weight: (p, t, s) => (s.unlitTime > t.unlitAfter ? 1 : 0) },
+    { id: 'backward', label: 'BACKWARD', gain: 'backwardGain', weight: (p) => p.backwardAmount || 0 },
+    { id: 'strafe', label: 'STRAFE', gain: 'strafeGain', weight: (p) => p.strafeAmount || 0 },
+    { id: 'darkLight', label: 'DARK LIGHT', gain: 'darkLightGain', weight: (p, t, s) => s.getDarkness() * s.lightProximity },
+
+    // Recover when stationary or moving carefully
+    { id: 'restStill', label: 'REST (STILL)', gain: 'stationaryDecay', relief: true, weight: (p) => (!p.isLookingBack && p.isStationary ? 1 : 0) },
+    {
+        id: 'restWalking', label: 'REST (WALKING)', gain: 'walkingDecay', relief: true,
+        weight: (p, t) => (!p.isLookingBack && !p.isStationary && p.continuousForwardTime < t.forwardGainAfter && !p.isSprinting ? 1 : 0)
+    }
+];
+
+// [WATCHER] View cone on the floor plan (cosines against the player's heading): a prop
+// beyond the wide one is certainly off screen, one inside the narrow one is being looked at
+const WATCHER_OUT_OF_VIEW = Math.cos(75 * Math.PI / 180);
+const WATCHER_IN_VIEW = Math.cos(25 * Math.PI / 180);
+const WATCHER_CLEARANCE = 2.5; // A shifted prop never lands closer than this to the player
+
+// [MESSAGE TEMPLATES]
+// Messages that quote the run back at the player. Their text fills {placeholders} from
+// messageData(); each is only picked while its condition holds, i.e. when the number is
+// big enough to be unsettling. Messages without an entry here can always be picked.
+export const MESSAGE_CONDITIONS = {
+    looked_back_times: (d) => d.lookBacks >= 5,
+    standing_for: (d) => d.standing >= 15,
+    stood_there: (d) => d.lastStop >= 20,
+    walked_meters: (d) => d.distance >= 150,
+    minutes_awake: (d) => d.minutes >= 4,
+    shift_not_over: (d) => d.minutes >= 2
+};
+
+// Two look-back turns closer together than this are one look (a turn can stutter)
+const LOOK_BACK_DEBOUNCE = 1.0;
+
+// FacilitySystem decides *what* happens (paranoia, events, messages).
+// Visuals, audio and UI react to the FacilityEvent stream on the bus.
+// It has no DOM/WebGL dependencies: `player` is anything exposing `.metrics`
+// (the real Player or a SyntheticPlayer), so it also runs headless under Node.
 export class FacilitySystem {
-    constructor(player, environment, uiElements) {
+    constructor(player, events, options = {}) {
         this.player = player;
-        this.environment = environment;
-        this.ui = uiElements;
-        this.ui.voice = document.getElementById('voice-overlay'); // Direct access
+        this.events = events;
+        this.rng = options.rng || Math.random;
+        this.strings = options.strings || new Localization(); // Message and band text (English by default)
+        // The corridor (FacilityGenerator): getNearestLight(x, z), getPropPosition(id).
+        // None (headless) = always lit and no watcher.
+        this.world = options.world || null;
+
+        // Every rate below comes from the run's difficulty (see difficulty.js)
+        this.setDifficulty(options.difficulty || buildDifficulty('standard'));
 
         // State
         this.paranoiaLevel = 0; // 0-100 (Hidden Meter)
         this.maxParanoia = 100;
 
         this.lastMessageTime = 0;
-        this.baseMessageCooldown = 15.0;
 
         this.lastTriggeredBehavior = null;
+        this.maxParanoiaTimer = 0;
+        this.statusBand = null;
+        this.driftIntensity = null;
 
         // Event State
         this.cameraInversion = {
             active: false,
             timer: 0,
-            duration: 0.5
+            duration: 0.5,
+            angle: 0 // Current roll in radians (read by Player and ComfortOverlay)
         };
 
         // Blackout Event
@@ -28,69 +94,189 @@ export class FacilitySystem {
             duration: 5.0
         };
 
+        // Darkness the player can feel: 1 during a blackout, a brief spike after each flicker
+        this.flickerDarkness = 0;
+
+        // Light at the player (see updateExposure)
+        this.unlitTime = 0; // Seconds since last under working light
+        this.lightProximity = 0; // 1 right under the nearest fixture, 0 at darkLightRange
+
+        // Last tick's points per second from each PARANOIA_FACTORS entry, and run totals
+        this.factorRates = {};
+        this.factorTotals = {};
+        this.clearFactors();
+
+        // Watcher: pillars stared at -> { shift: PROP_SHIFTED payload once it moved, noticed }
+        this.watched = new Map();
+
         // Timer Logic
         this.survivalTime = 0;
-        this.clockEl = document.getElementById('clock');
+        this.clockSecond = null; // Last whole second published
 
 
-        // Context-Aware Message Pools
+        // Context-Aware Message Pools (message ids, text in localization.js; templates: MESSAGE_CONDITIONS)
         this.messagePools = {
-            stationary: [
-                "WHY HAVE YOU STOPPED?",
-                "CONTINUE MOVING",
-                "CAN YOU HEAR IT?",
-                "YOU ARE BEING WATCHED"
-            ],
-            lookBack: [
-                "THERE IS NOTHING BEHIND YOU",
-                "LOOKING BACK IS UNNECESSARY",
-                "WHY DO YOU KEEP CHECKING?",
-                "DON'T LOOK BACK",
-                "YOU SEEM NERVOUS"
-            ],
-            continuousMove: [
-                "KEEP WALKING",
-                "CONTINUE MOVING",
-                "DO NOT STOP",
-                "YOU ARE MAKING PROGRESS",
-                "THE CORRIDOR CONTINUES"
-            ],
-            zoneReentry: [
-                "THIS PLACE REMEMBERS YOU",
-                "HAVE YOU BEEN HERE BEFORE?",
-                "YOU CANNOT GO BACK"
-            ],
-            highParanoia: [
-                "THEY KNOW YOU KNOW",
-                "DONT TURN AROUND",
-                "IT IS GETTING CLOSER",
-                "RUN",
-            ],
-            contradiction: [
-                "IT WAS A LIE",
-                "THAT WAS FALSE",
-            ]
+            stationary: ["why_stopped", "continue_moving", "hear_it", "being_watched", "standing_for"],
+            lookBack: ["nothing_behind", "looking_back_unnecessary", "keep_checking", "dont_look_back", "seem_nervous", "looked_back_times"],
+            continuousMove: ["keep_walking", "continue_moving", "do_not_stop", "making_progress", "corridor_continues", "stood_there", "walked_meters"],
+            zoneReentry: ["remembers_you", "been_here_before", "cannot_go_back"],
+            highParanoia: ["they_know", "dont_turn_around", "getting_closer", "run", "minutes_awake", "shift_not_over"],
+            contradiction: ["it_was_a_lie", "that_was_false"],
+            running: ["where_going", "cannot_outrun", "running_worse"],
+            hiding: ["hear_you_breathe", "hiding_wont_help", "stay_down"],
+            watcher: ["it_moved"]
+        };
+
+        this.recentMessages = []; // Anti-repetition queue (message ids)
+
+        // Run data for message templates (see messageData)
+        this.shiftId = '#894-B'; // Until setSeed()
+        this.resetRunStats();
+    }
+
+    setSeed(seed) {
+        // Own stream per run, so event rolls replay identically for a given seed
+        this.rng = createRNG(`${seed}#facility`);
+        this.shiftId = shiftIdFor(seed);
+    }
+
+    resetRunStats() {
+        this.lookBacks = 0; // Separate looks, unlike metrics.lookBackCount (turn energy)
+        this.sinceLookBack = Infinity;
+        this.wasLookingBack = false;
+        this.standing = 0;
+        this.lastStop = 0; // Seconds the player last stood still for
+        this.wasStationary = false;
+    }
+
+    bindStateMachine(states) {
+        this.states = states;
+
+        states.onEnter(GameState.INTRO, (from) => {
+            if (from !== GameState.BOOT) this.reset();
+        });
+
+        // Events only exist in the corridor: leaving it cancels anything in flight,
+        // so e.g. a blackout can never run on into the endgame.
+        states.onEnter(GameState.ENDGAME, () => {
+            console.log("SYS: PSYCHOSIS BREAK - TRIGGERING ENDGAME");
+            this.cancelEvents();
+            this.events.emit(FacilityEvent.ENDGAME_ENTERED, { survivalTime: this.survivalTime });
+        });
+        states.onEnter(GameState.JUMPSCARE, () => this.cancelEvents());
+    }
+
+    isCorridorActive() {
+        return this.states.is(GameState.CORRIDOR, GameState.PSYCHOSIS_HOLD);
+    }
+
+    cancelEvents() {
+        if (this.blackout.active) this.endBlackout(); // CRITICAL FIX
+        this.blackout.timer = 0;
+
+        if (this.cameraInversion.active) this.endCameraTwist();
+        this.cameraInversion.timer = 0;
+
+        this.flickerDarkness = 0;
+    }
+
+    endBlackout() {
+        this.blackout.active = false;
+        if (this.blackout.mirageVisible) this.events.emit(FacilityEvent.MIRAGE_HIDE);
+        this.blackout.mirageVisible = false;
+        this.events.emit(FacilityEvent.BLACKOUT_END);
+    }
+
+    // { name, tuning } from buildDifficulty()/restoreDifficulty()
+    setDifficulty(difficulty) {
+        this.difficulty = difficulty;
+        this.tuning = difficulty.tuning;
+        console.log(`SYS: Difficulty ${difficulty.name.toUpperCase()}`);
+    }
+
+    getSaveState() {
+        return {
+            paranoiaLevel: this.paranoiaLevel,
+            maxParanoiaTimer: this.maxParanoiaTimer,
+            survivalTime: this.survivalTime,
+            recentMessages: [...this.recentMessages],
+            lookBacks: this.lookBacks,
+            lastStop: this.lastStop,
+            watched: [...this.watched].map(([id, entry]) => ({ id: id, ...entry }))
         };
+    }
 
-        this.recentMessages = []; // Anti-repetition queue
+    restoreSaveState(state) {
+        this.paranoiaLevel = state.paranoiaLevel;
+        this.maxParanoiaTimer = state.maxParanoiaTimer || 0;
+        this.survivalTime = state.survivalTime;
+        this.recentMessages = [...(state.recentMessages || [])];
+        this.resetRunStats();
+        this.lookBacks = state.lookBacks || 0;
+        this.lastStop = state.lastStop || 0;
+        this.clockSecond = null;
+        this.updateClock(0);
+
+        // Re-apply shifts to the regenerated corridor (props out of range are dropped next tick)
+        this.watched.clear();
+        (state.watched || []).forEach(({ id, shift, noticed }) => {
+            this.watched.set(id, { shift: shift || null, noticed: !!noticed });
+            if (shift) this.events.emit(FacilityEvent.PROP_SHIFTED, shift);
+        });
+    }
+
+    reset() {
+        // In-place restart (no page reload)
+        this.paranoiaLevel = 0;
+        this.maxParanoiaTimer = 0;
+        this._lastLogTime = undefined;
+
+        this.lastMessageTime = 0;
+        this.lastTriggeredBehavior = null;
+        this.recentMessages = [];
+        this.resetRunStats();
+
+        this.cancelEvents();
+        this.debugMirageVisible = false;
+
+        this.survivalTime = 0;
+        this.clockSecond = null;
+        this.updateClock(0);
+
+        this.driftIntensity = null;
+        this.unlitTime = 0;
+        this.lightProximity = 0;
+        this.clearFactors();
+        this.watched.clear();
+        this.updateStatus("STABLE", "status-ok");
+    }
+
+    clearFactors() {
+        PARANOIA_FACTORS.forEach(factor => {
+            this.factorRates[factor.id] = 0;
+            this.factorTotals[factor.id] = 0;
+        });
     }
 
     update(time, delta) {
         this.monitorParanoia(delta);
+        this.updateRunStats(delta);
         const pFactor = this.getParanoiaFactor();
 
         // Drive Environmental Drift
-        if (this.environment.setDriftIntensity) {
-            // RESTRICTION: Only apply drift if paranoia > 50%
-            let driftIntensity = 0;
-            if (pFactor > 0.5) {
-                // Map 0.5->1.0 to 0.0->1.0
-                driftIntensity = (pFactor - 0.5) * 2.0;
-            }
-            this.environment.setDriftIntensity(driftIntensity);
+        // RESTRICTION: Only apply drift if paranoia > 50%
+        let driftIntensity = 0;
+        if (pFactor > 0.5) {
+            // Map 0.5->1.0 to 0.0->1.0
+            driftIntensity = (pFactor - 0.5) * 2.0;
+        }
+        if (driftIntensity !== this.driftIntensity) {
+            this.driftIntensity = driftIntensity;
+            this.events.emit(FacilityEvent.DRIFT_CHANGED, { intensity: driftIntensity });
         }
 
         this.checkMessaging(time, pFactor);
+        this.updateWatcher(time, pFactor);
         this.handleRandomEvents(time, delta, pFactor);
     }
 
@@ -98,26 +284,43 @@ export class FacilitySystem {
         return this.paranoiaLevel / this.maxParanoia;
     }
 
-    monitorParanoia(delta) {
-        const p = this.player.metrics;
+    getDarkness() {
+        return this.blackout.active ? 1.0 : this.flickerDarkness;
+    }
 
-        // INCREASE: Looking Back (Doubled Rate per user request)
-        if (p.isLookingBack) {
-            this.paranoiaLevel += delta * 20.0;
-        }
+    // Radians of roll, 0 = level (between CAMERA_TWIST_START and CAMERA_TWIST_END)
+    getTwistAngle() {
+        return this.cameraInversion.angle;
+    }
 
-        // INCREASE: Continuous Running (Reduced Rate)
-        if (p.continuousForwardTime > 3.0) {
-            this.paranoiaLevel += delta * 1.0;
+    // How long the player has been out of working light, and how close the nearest fixture is
+    updateExposure(delta) {
+        const t = this.tuning;
+        const pos = this.player.metrics.lastPosition;
+        const nearest = this.world ? this.world.getNearestLight(pos.x, pos.z) : null;
+
+        let lit = !this.blackout.active;
+        if (this.world) {
+            lit = lit && nearest !== null && nearest.distance <= t.unlitDistance && nearest.dimming < t.unlitDimming;
         }
+        this.unlitTime = lit ? 0 : this.unlitTime + delta;
+        this.lightProximity = nearest ? Math.max(0, 1 - nearest.distance / t.darkLightRange) : 0;
+    }
 
-        // DECAY: Recover when stationary or moving carefully
-        if (!p.isLookingBack) {
-            if (p.isStationary) {
-                this.paranoiaLevel -= delta * 0.5; // Slow recovery when still
-            } else if (p.continuousForwardTime < 3.0) {
-                this.paranoiaLevel -= delta * 0.5; // Slow recovery while walking
-            }
+    monitorParanoia(delta) {
+        const p = this.player.metrics;
+        const t = this.tuning;
+
+        this.flickerDarkness = Math.max(0, this.flickerDarkness - delta * 2.0);
+        this.updateExposure(delta);
+
+        for (const factor of PARANOIA_FACTORS) {
+            const weight = factor.weight(p, t, this);
+            const rate = weight > 0 ? (factor.relief ? -1 : 1) * t[factor.gain] * weight : 0;
+            this.factorRates[factor.id] = rate;
+            if (rate === 0) continue;
+            this.paranoiaLevel += delta * rate;
+            this.factorTotals[factor.id] += delta * rate;
         }
 
         this.paranoiaLevel = Math.max(0, Math.min(this.paranoiaLevel, this.maxParanoia));
@@ -146,31 +349,28 @@ export class FacilitySystem {
         this.updateStatus(statusText, statusClass);
 
         // TRIGGER ENDGAME (PHASE 3) - DELAYED
-        // Must hold Max Paranoia for 60 seconds
+        // Must hold Max Paranoia for t.psychosisHold seconds (CORRIDOR <-> PSYCHOSIS_HOLD -> ENDGAME)
+        if (!this.isCorridorActive()) return;
+
         if (this.paranoiaLevel >= 99) {
-            if (this.maxParanoiaTimer === undefined) this.maxParanoiaTimer = 0;
+            this.states.transition(GameState.PSYCHOSIS_HOLD);
             this.maxParanoiaTimer += delta;
 
             // Console log every 10s
             if (Math.floor(this.maxParanoiaTimer) % 5 === 0 && Math.floor(this.maxParanoiaTimer) !== this._lastLogTime) {
                 this._lastLogTime = Math.floor(this.maxParanoiaTimer);
-                console.log(`SYS: Psychosis Hold: ${this.maxParanoiaTimer.toFixed(1)}s / 20s`);
+                console.log(`SYS: Psychosis Hold: ${this.maxParanoiaTimer.toFixed(1)}s / ${t.psychosisHold}s`);
             }
 
-            if (this.maxParanoiaTimer > 20.0 && !this.endgameTriggered) {
-                // FORCE RESET EVENTS
-                this.blackout.active = false;
-                this.environment.forceBlackout = false; // CRITICAL FIX
-                this.cameraInversion.active = false;
-
-                this.endgameTriggered = true;
-                console.log("SYS: PSYCHOSIS BREAK - TRIGGERING ENDGAME");
-                this.environment.enterEndgame();
+            if (this.maxParanoiaTimer > t.psychosisHold) {
+                this.states.transition(GameState.ENDGAME);
             }
         } else {
+            this.states.transition(GameState.CORRIDOR);
+
             // Reset timer if they drift below max? 
             // Or Keep it? Let's bleed it slowly so they don't lose all progress instantly
-            if (this.maxParanoiaTimer > 0) this.maxParanoiaTimer -= delta * 0.5;
+            if (this.maxParanoiaTimer > 0) this.maxParanoiaTimer -= delta * t.psychosisBleed;
         }
     }
 
@@ -195,17 +395,18 @@ export class FacilitySystem {
         
         if (stateChanged && pFactor > 0.2) {
             const chance = 0.6 + (pFactor * 0.4); 
-            if (Math.random() < chance) {
-                this.shouldTriggerWhisper = true; 
+            if (this.rng() < chance) {
+                this.events.emit(FacilityEvent.WHISPER, { pFactor });
             }
         }
         */
     }
 
     handleRandomEvents(time, delta, pFactor) {
-        if (this.endgameTriggered) return; // NO EVENTS IN SPACE (Peace/Void)
+        if (!this.isCorridorActive()) return; // NO EVENTS IN SPACE (Peace/Void)
 
-        if (pFactor < 0.1) return; // Too calm
+        // Too calm (a running blackout/twist still plays out, e.g. one forced from the debug panel)
+        if (pFactor < 0.1 && !this.blackout.active && !this.cameraInversion.active) return;
 
         // Check for state-driven whispers
         this.checkStateChanges(pFactor);
@@ -214,52 +415,35 @@ export class FacilitySystem {
         if (this.blackout.active) {
             this.blackout.timer += delta;
 
-            // Force lights off
-            this.environment.forceBlackout = true;
-
-            // MIRAGE LOGIC
-            if (this.blackout.timer < 0.1) {
-                if (this.environment.showMirage) {
-                    this.environment.showMirage(this.player.controls.getObject().position.z);
-                }
-            } else if (this.blackout.timer > 0.8) {
-                if (this.environment.hideMirage) {
-                    this.environment.hideMirage();
-                }
-            }
-
-            // ANIMATE GLITCH
-            if (this.environment.updateMirageEffect) {
-                this.environment.updateMirageEffect();
+            // MIRAGE LOGIC (Glimpse in the first moments of darkness)
+            if (this.blackout.mirageVisible && this.blackout.timer > 0.8) {
+                this.blackout.mirageVisible = false;
+                this.events.emit(FacilityEvent.MIRAGE_HIDE);
             }
 
             if (this.blackout.timer > this.blackout.duration) {
-                this.blackout.active = false;
-                this.environment.forceBlackout = false;
-                if (this.environment.hideMirage) this.environment.hideMirage();
+                this.endBlackout();
             }
             return; // Skip other events during blackout
         } else if (pFactor > 0.95) {
             // ... blackout trigger ...
-            // Reduced Rate (User Request: Half rate)
-            if (Math.random() < 0.00025) {
-                this.blackout.active = true;
-                this.blackout.timer = 0;
+            if (this.rng() < this.tuning.blackoutChance) {
+                this.startBlackout();
+                return;
             }
         }
 
         // 2. LIGHT FLICKERING
-        // Reduced Rate (User Request: Half rate)
-        const flickerChance = (0.0005 + (pFactor * 0.05)) * 0.5;
-        if (Math.random() < flickerChance) {
-            if (this.environment.flickerLights) this.environment.flickerLights();
+        const flickerChance = this.tuning.flickerChance + (pFactor * this.tuning.flickerChancePerParanoia);
+        if (this.rng() < flickerChance) {
+            this.flicker(pFactor);
         }
 
         // 3. CAMERA INVERSION (High Paranoia)
         // 3. CAMERA TWIST (Inversion/Roll)
         // Scaled Effect: Subtle tilt at low paranoia, violent twist at high.
         // User Update: Only at MAX paranoia levels (> 95%)
-        if (pFactor > 0.95) {
+        if (pFactor > 0.95 || this.cameraInversion.active) {
             if (this.cameraInversion.active) {
                 this.cameraInversion.timer += delta;
 
@@ -285,53 +469,121 @@ export class FacilitySystem {
                     // Easing in/out
                     const progress = this.cameraInversion.timer / this.cameraInversion.duration;
                     const wave = Math.sin(progress * Math.PI); // 0 -> 1 -> 0
-                    this.player.camera.rotation.z = currentAngle * wave;
+                    this.cameraInversion.angle = currentAngle * wave;
                 } else {
-                    this.player.camera.rotation.z = currentAngle;
+                    this.cameraInversion.angle = currentAngle;
                 }
 
                 if (this.cameraInversion.timer > this.cameraInversion.duration) {
-                    this.cameraInversion.active = false;
-                    this.player.camera.rotation.z = 0;
+                    this.endCameraTwist();
                 }
 
             } else {
                 // TRIGGER LOGIC
                 // Chance increases with paranoia
                 // Low: Rare. High: Frequent.
-                const invertChance = 0.0001 + (pFactor * 0.002);
-
-                if (Math.random() < invertChance) {
-                    this.cameraInversion.active = true;
-                    this.cameraInversion.timer = 0;
-
-                    // RANDOM DIRECTION
-                    this.cameraInversion.direction = Math.random() < 0.5 ? 1 : -1;
-
-                    // DURATION SCALING
-                    if (pFactor < 0.5) {
-                        // "max 3s for levels below 50%" - User
-                        // Let's make it 1.0s to 3.0s
-                        this.cameraInversion.duration = 1.0 + Math.random() * 2.0;
-                    } else {
-                        // High Paranoia: Faster, sharper glitches? Or longer disorientation?
-                        // "scale with paranoia levels"
-                        // Let's try varied: Short snaps (0.2s) or Long holds (4s)
-                        this.cameraInversion.duration = 0.2 + (Math.random() * (pFactor * 4.0));
-                    }
+                const invertChance = this.tuning.twistChance + (pFactor * this.tuning.twistChancePerParanoia);
+
+                if (this.rng() < invertChance) {
+                    this.startCameraTwist(pFactor);
                 }
             }
         }
     }
 
+    flicker(pFactor) {
+        this.flickerDarkness = 1.0;
+        this.events.emit(FacilityEvent.FLICKER, { pFactor });
+    }
+
+    startBlackout() {
+        this.blackout.active = true;
+        this.blackout.timer = 0;
+        this.blackout.mirageVisible = true;
+
+        // Force lights off, then the mirage appears in the dark
+        this.events.emit(FacilityEvent.BLACKOUT_START, { duration: this.blackout.duration });
+        this.events.emit(FacilityEvent.MIRAGE_SHOW, { playerZ: this.player.metrics.lastPosition.z });
+    }
+
+    startCameraTwist(pFactor) {
+        this.cameraInversion.active = true;
+        this.cameraInversion.timer = 0;
+
+        // RANDOM DIRECTION
+        this.cameraInversion.direction = this.rng() < 0.5 ? 1 : -1;
+
+        // DURATION SCALING
+        if (pFactor < 0.5) {
+            // "max 3s for levels below 50%" - User
+            // Let's make it 1.0s to 3.0s
+            this.cameraInversion.duration = 1.0 + this.rng() * 2.0;
+        } else {
+            // High Paranoia: Faster, sharper glitches? Or longer disorientation?
+            // "scale with paranoia levels"
+            // Let's try varied: Short snaps (0.2s) or Long holds (4s)
+            this.cameraInversion.duration = 0.2 + (this.rng() * (pFactor * 4.0));
+        }
+
+        this.events.emit(FacilityEvent.CAMERA_TWIST_START, {
+            direction: this.cameraInversion.direction,
+            duration: this.cameraInversion.duration
+        });
+    }
+
+    endCameraTwist() {
+        this.cameraInversion.active = false;
+        this.cameraInversion.angle = 0;
+        this.events.emit(FacilityEvent.CAMERA_TWIST_END);
+    }
+
+    // [DEBUG: FORCED EVENTS]
+    // Used by the ?debug panel. They bypass the random rolls, not the state rules.
+
+    setParanoiaLevel(level) {
+        this.paranoiaLevel = Math.max(0, Math.min(level, this.maxParanoia));
+    }
+
+    forceBlackout() {
+        if (!this.isCorridorActive() || this.blackout.active) return;
+        this.startBlackout();
+    }
+
+    forceFlicker() {
+        this.flicker(this.getParanoiaFactor());
+    }
+
+    forceCameraTwist() {
+        if (!this.isCorridorActive() || this.cameraInversion.active) return;
+        this.startCameraTwist(this.getParanoiaFactor());
+    }
+
+    toggleMirage() {
+        // Show/hide the mirage without a blackout
+        this.debugMirageVisible = !this.debugMirageVisible;
+        if (this.debugMirageVisible) {
+            this.events.emit(FacilityEvent.MIRAGE_SHOW, { playerZ: this.player.metrics.lastPosition.z });
+        } else {
+            this.events.emit(FacilityEvent.MIRAGE_HIDE);
+        }
+    }
+
+    forceEndgame() {
+        if (!this.isCorridorActive()) return;
+        this.setParanoiaLevel(this.maxParanoia);
+        this.states.transition(GameState.PSYCHOSIS_HOLD);
+        this.states.transition(GameState.ENDGAME);
+    }
+
     checkMessaging(time, pFactor) {
-        if (this.endgameTriggered) return; // No messages in space
+        if (!this.isCorridorActive()) return; // No messages in space
 
         // MESSAGING SYSTEM (4 Types)
         // 1. SYSTEM LOGS (Bottom Left, Green/Console style)
         // 2. VOICES (Top Center, Ghostly)
-        // Cooldown: Minimum 8s, up to 15s
-        const currentCooldown = Math.max(8.0, this.baseMessageCooldown - (pFactor * 7.0));
+        // Cooldown: shrinks with paranoia (Standard: 15s down to 8s)
+        const t = this.tuning;
+        const currentCooldown = Math.max(t.messageCooldownMin, t.messageCooldown - (pFactor * t.messageCooldownPerParanoia));
 
         if (time - this.lastMessageTime < currentCooldown) return;
 
@@ -339,7 +591,7 @@ export class FacilitySystem {
         let selectedPool = null;
 
         // High Paranoia Overlay
-        if (pFactor > 0.7 && Math.random() < 0.4) {
+        if (pFactor > 0.7 && this.rng() < 0.4) {
             selectedPool = "highParanoia";
         }
 
@@ -349,23 +601,31 @@ export class FacilitySystem {
             if (p.zoneHistory.length > 15) {
                 const currentZone = p.zoneHistory[p.zoneHistory.length - 1];
                 const oldHistory = p.zoneHistory.slice(0, p.zoneHistory.length - 10);
-                if (oldHistory.includes(currentZone) && Math.random() < 0.1) {
+                if (oldHistory.includes(currentZone) && this.rng() < 0.1) {
                     selectedPool = "zoneReentry";
                 }
             }
 
             // 2. Look Back
-            if (!selectedPool && p.isLookingBack && Math.random() < 0.3) {
+            if (!selectedPool && p.isLookingBack && this.rng() < 0.3) {
                 selectedPool = "lookBack";
             }
 
-            // 3. Stationary
-            if (!selectedPool && p.isStationary && p.stationaryTime > 5.0 && Math.random() < 0.2) {
+            // 3. Running / hiding
+            if (!selectedPool && p.isSprinting && this.rng() < 0.3) {
+                selectedPool = "running";
+            }
+            if (!selectedPool && p.isCrouching && this.getDarkness() > 0.5 && this.rng() < 0.5) {
+                selectedPool = "hiding";
+            }
+
+            // 4. Stationary
+            if (!selectedPool && p.isStationary && p.stationaryTime > 5.0 && this.rng() < 0.2) {
                 selectedPool = "stationary";
             }
 
-            // 4. Continuous Flow
-            if (!selectedPool && p.continuousForwardTime > 15.0 && Math.random() < 0.2) {
+            // 5. Continuous Flow
+            if (!selectedPool && p.continuousForwardTime > 15.0 && this.rng() < 0.2) {
                 selectedPool = "continuousMove";
             }
         }
@@ -375,37 +635,133 @@ export class FacilitySystem {
         }
     }
 
+    // [WATCHER]
+    // A pillar the player stares at is remembered. Once it is well out of view it may
+    // shift (move, turn or gain a double); seeing it again afterwards gets a message.
+    updateWatcher(time, pFactor) {
+        if (!this.world || !this.isCorridorActive()) return;
+        const p = this.player.metrics;
+        const t = this.tuning;
+
+        if (p.gazeKind === 'pillar' && p.gazeId && p.gazeDuration > t.watcherStareAfter && !this.watched.has(p.gazeId)) {
+            this.watched.set(p.gazeId, { shift: null, noticed: false });
+        }
+
+        for (const [id, entry] of this.watched) {
+            const prop = this.world.getPropPosition(id);
+            if (!prop) {
+                this.watched.delete(id); // Its chunk is gone
+                continue;
+            }
+
+            const view = this.viewAlignment(prop);
+            if (!entry.shift) {
+                if (view < WATCHER_OUT_OF_VIEW && this.rng() < t.watcherChance) entry.shift = this.rollPropShift(id, prop);
+                if (entry.shift) this.events.emit(FacilityEvent.PROP_SHIFTED, entry.shift);
+            } else if (!entry.noticed && view > WATCHER_IN_VIEW && time - this.lastMessageTime >= t.messageCooldownMin) {
+                // The payoff: always "it moved" (no contradiction roll), after the shortest
+                // message cooldown. Until then the shift stays unnoticed.
+                entry.noticed = true;
+                this.showMessage(time, "watcher", pFactor);
+                break; // One message per tick
+            }
+        }
+    }
+
+    // Cosine between the player's heading and the direction to a floor position
+    viewAlignment(pos) {
+        const p = this.player.metrics;
+        const dx = pos.x - p.lastPosition.x;
+        const dz = pos.z - p.lastPosition.z;
+        const distance = Math.sqrt(dx * dx + dz * dz);
+        if (distance < 0.001) return 1;
+        return (dx * p.facing.x + dz * p.facing.z) / distance;
+    }
+
+    // -> PROP_SHIFTED payload, or null if it would land on the player (tried again later)
+    rollPropShift(id, prop) {
+        const kinds = ['move', 'rotate', 'duplicate'];
+        const kind = kinds[Math.floor(this.rng() * kinds.length)];
+        const side = this.rng() < 0.5 ? -1 : 1;
+        const shift = { id: id, kind: kind, dx: 0, dz: 0, angle: 0 };
+
+        if (kind === 'move') {
+            // Subtle: a little towards the middle of the corridor and along it
+            shift.dx = -Math.sign(prop.x) * (0.2 + this.rng() * 0.3);
+            shift.dz = side * (0.4 + this.rng() * 0.6);
+        } else if (kind === 'rotate') {
+            shift.angle = side * (0.2 + this.rng() * 0.3);
+        } else {
+            shift.dz = side * (2.5 + this.rng() * 1.5); // The double stands just beside it
+        }
+
+        const pos = this.player.metrics.lastPosition;
+        const distance = Math.hypot(prop.x + shift.dx - pos.x, prop.z + shift.dz - pos.z);
+        return distance < WATCHER_CLEARANCE ? null : shift;
+    }
+
+    updateRunStats(delta) {
+        const p = this.player.metrics;
+
+        this.sinceLookBack += delta;
+        if (p.isLookingBack && !this.wasLookingBack && this.sinceLookBack > LOOK_BACK_DEBOUNCE) this.lookBacks++;
+        if (p.isLookingBack) this.sinceLookBack = 0;
+        this.wasLookingBack = p.isLookingBack;
+
+        // stationaryTime is cleared the tick they move off, so keep the last reading
+        if (p.isStationary) this.standing = p.stationaryTime;
+        else if (this.wasStationary) this.lastStop = this.standing;
+        this.wasStationary = p.isStationary;
+    }
+
+    // Live run data for message text ({name} placeholders) and MESSAGE_CONDITIONS
+    messageData() {
+        const p = this.player.metrics;
+        return {
+            lookBacks: this.lookBacks,
+            standing: p.isStationary ? Math.floor(p.stationaryTime) : 0,
+            lastStop: Math.floor(this.lastStop),
+            distance: Math.floor(p.totalDistance),
+            minutes: Math.floor(this.survivalTime / 60),
+            seconds: Math.floor(this.survivalTime),
+            shiftId: this.shiftId
+        };
+    }
+
     updateClock(delta) {
         // Normal Time Update
         this.survivalTime += delta;
 
-        if (this.clockEl) {
-            const totalSeconds = Math.floor(this.survivalTime);
-            const safeSeconds = Math.min(totalSeconds, 359999);
-
-            const hrs = Math.floor(safeSeconds / 3600).toString().padStart(2, '0');
-            const mins = Math.floor((safeSeconds % 3600) / 60).toString().padStart(2, '0');
-            const secs = (safeSeconds % 60).toString().padStart(2, '0');
-            this.clockEl.innerText = `${hrs}:${mins}:${secs}`;
+        // Publish once per whole second (HUD renders HH:MM:SS)
+        const totalSeconds = Math.floor(this.survivalTime);
+        if (totalSeconds !== this.clockSecond) {
+            this.clockSecond = totalSeconds;
+            this.events.emit(FacilityEvent.SURVIVAL_TICK, { seconds: totalSeconds });
         }
     }
 
     triggerMessage(time, poolName, pFactor = 0) {
-        this.lastMessageTime = time;
-
         // Chance of contradiction scales with paranoia
-        if (Math.random() < (0.01 + pFactor * 0.2)) {
+        if (this.rng() < (0.01 + pFactor * 0.2)) {
             poolName = "contradiction";
         }
 
-        const pool = this.messagePools[poolName];
-        if (pool) {
+        this.showMessage(time, poolName, pFactor);
+    }
+
+    showMessage(time, poolName, pFactor = 0) {
+        this.lastMessageTime = time;
+
+        // Templates whose numbers aren't worth quoting yet sit this one out
+        const data = this.messageData();
+        const pool = (this.messagePools[poolName] || []).filter(id => !MESSAGE_CONDITIONS[id] || MESSAGE_CONDITIONS[id](data));
+        if (pool.length > 0) {
             let msg = "";
             let uniqueFound = false;
 
             // Try 3 times to find a unique message
             for (let i = 0; i < 3; i++) {
-                msg = pool[Math.floor(Math.random() * pool.length)];
+                msg = pool[Math.floor(this.rng() * pool.length)];
                 if (!this.recentMessages.includes(msg)) {
                     uniqueFound = true;
                     break;
@@ -420,38 +776,22 @@ export class FacilitySystem {
                 this.recentMessages.shift();
             }
 
-            this.logMessage(msg, pFactor);
-        }
-    }
-
-    logMessage(text, pFactor = 0) {
-        // Use Voice Overlay if available, else fallback
-        const targetContainer = this.ui.voice || this.ui.log;
-
-        targetContainer.innerHTML = ''; // Single message at a time
-
-        const entry = document.createElement('div');
-        // Use appropriate class based on container
-        entry.classList.add(this.ui.voice ? 'voice-entry' : 'log-entry');
-        entry.innerText = text;
-
-        // Urgency styling
-        entry.style.fontWeight = (pFactor > 0.5) ? 'bold' : '300';
-
-        if (pFactor > 0.8) {
-            entry.style.color = '#ff0000'; // Pure Red
-            entry.style.textShadow = '0 0 20px red';
-            entry.style.fontSize = '32px'; // Larger than base 24px
-            entry.style.letterSpacing = '6px';
+            this.events.emit(FacilityEvent.MESSAGE_SHOWN, { id: msg, text: this.strings.t(`message.${msg}`, data), pool: poolName, pFactor });
         }
-
-        targetContainer.appendChild(entry);
     }
 
     updateStatus(text, className) {
-        if (this.ui.neuro) {
-            this.ui.neuro.innerText = text;
-            this.ui.neuro.className = className;
-        }
+        // Only band changes are published (not every tick)
+        if (text === this.statusBand) return;
+
+        const previous = this.statusBand || text;
+        this.statusBand = text;
+        this.events.emit(FacilityEvent.PARANOIA_BAND_CHANGED, {
+            band: text,
+            label: this.strings.t(`status.${text}`),
+            previous: previous,
+            statusClass: className,
+            level: this.paranoiaLevel
+        });
     }
 }
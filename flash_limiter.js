@@ -0,0 +1,48 @@
+// [FLASH LIMITER]
+// Photosensitivity safety. Every sudden luminance change (light flicker, mirage strobe,
+// intro lamp flicker, blackout, jumpscare) goes through one shared limiter. With the
+// LIMIT FLASHING setting on, optional flashes beyond MAX_FLASHES_PER_SECOND in any
+// one-second window are dropped (WCAG 2.3.1 "three flashes" threshold).
+// Runs on wall-clock time: what matters is what reaches the screen, not simulation ticks.
+
+export const MAX_FLASHES_PER_SECOND = 3;
+const WINDOW = 1.0; // Seconds
+
+export class FlashLimiter {
+    constructor(now = () => performance.now() / 1000) {
+        this.now = now;
+        this.enabled = false;
+        this.flashes = []; // Timestamps of flashes in the current window (oldest first)
+    }
+
+    bindSettings(settings) {
+        const apply = () => {
+            this.enabled = settings.get('flashLimiter');
+            // CSS-driven effects check this class (see style.css)
+            document.body.classList.toggle('flash-safe', this.enabled);
+        };
+        settings.subscribe(apply);
+        apply();
+    }
+
+    // Optional flash (flicker, strobe): true if it may happen now, in which case it is counted.
+    // Always true while the limiter is off, so switching it on mid-run starts from real history.
+    request() {
+        const time = this.now();
+        this.prune(time);
+        if (this.enabled && this.flashes.length >= MAX_FLASHES_PER_SECOND) return false;
+        this.flashes.push(time);
+        return true;
+    }
+
+    // Flash the game can't skip (blackout, jumpscare): uses up budget so optional ones back off
+    note() {
+        const time = this.now();
+        this.prune(time);
+        this.flashes.push(time);
+    }
+
+    prune(time) {
+        while (this.flashes.length && time - this.flashes[0] >= WINDOW) this.flashes.shift();
+    }
+}
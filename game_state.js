@@ -0,0 +1,123 @@
+// [GAME STATE MACHINE]
+// Single source of truth for game flow. Systems subscribe with onEnter/onExit
+// instead of keeping their own zone/endgame flags, and every transition is
+// checked against TRANSITIONS so illegal combinations cannot happen.
+
+export const GameState = Object.freeze({
+    BOOT: 'BOOT',
+    INTRO: 'INTRO',
+    CORRIDOR: 'CORRIDOR',
+    PSYCHOSIS_HOLD: 'PSYCHOSIS_HOLD', // Max paranoia, endgame countdown running
+    ENDGAME: 'ENDGAME', // Corridor ends, void revealed
+    FALLING: 'FALLING', // Stepped off the edge
+    CONSUMED: 'CONSUMED', // Reached the black hole (run over)
+    JUMPSCARE: 'JUMPSCARE', // Easter egg (run over)
+    PAUSED: 'PAUSED'
+});
+
+const S = GameState;
+
+// Allowed transitions (from -> [to])
+// PAUSED is special: it can only resume into the state it was entered from.
+const TRANSITIONS = {
+    [S.BOOT]: [S.INTRO, S.CORRIDOR], // CORRIDOR = resuming a saved run
+    [S.INTRO]: [S.CORRIDOR, S.PAUSED],
+    [S.CORRIDOR]: [S.PSYCHOSIS_HOLD, S.JUMPSCARE, S.PAUSED],
+    [S.PSYCHOSIS_HOLD]: [S.CORRIDOR, S.ENDGAME, S.JUMPSCARE, S.PAUSED],
+    [S.ENDGAME]: [S.FALLING, S.JUMPSCARE, S.PAUSED],
+    [S.FALLING]: [S.CONSUMED, S.PAUSED],
+    [S.CONSUMED]: [S.INTRO],
+    [S.JUMPSCARE]: [S.INTRO],
+    [S.PAUSED]: []
+};
+
+export class GameStateMachine {
+    constructor(initial = S.BOOT) {
+        this.state = initial;
+        this.resumeState = null; // Set while PAUSED
+
+        this.enterHooks = {};
+        this.exitHooks = {};
+        this.listeners = [];
+    }
+
+    get current() {
+        return this.state;
+    }
+
+    is(...states) {
+        return states.includes(this.state);
+    }
+
+    can(to) {
+        if (this.state === S.PAUSED) return to === this.resumeState;
+        return (TRANSITIONS[this.state] || []).includes(to);
+    }
+
+    transition(to) {
+        if (to === this.state) return true; // Idempotent
+
+        if (!this.can(to)) {
+            console.warn(`STATE: Illegal transition ${this.state} -> ${to}`);
+            return false;
+        }
+
+        const from = this.state;
+
+        // Pausing suspends the current state rather than leaving it:
+        // its exit hooks do not run on pause and its enter hooks do not re-run on resume.
+        const pausing = to === S.PAUSED;
+        const resuming = from === S.PAUSED;
+
+        if (pausing) this.resumeState = from;
+        if (!pausing) this.runHooks(this.exitHooks, from, from, to);
+
+        this.state = to;
+        if (resuming) this.resumeState = null;
+
+        console.log(`STATE: ${from} -> ${to}`);
+
+        if (!resuming) this.runHooks(this.enterHooks, to, from, to);
+        this.listeners.forEach(fn => fn(from, to));
+        return true;
+    }
+
+    pause() {
+        return this.transition(S.PAUSED);
+    }
+
+    resume() {
+        if (this.state !== S.PAUSED) return false;
+        return this.transition(this.resumeState);
+    }
+
+    // Hooks receive (from, to)
+    onEnter(state, fn) {
+        return this.addHook(this.enterHooks, state, fn);
+    }
+
+    onExit(state, fn) {
+        return this.addHook(this.exitHooks, state, fn);
+    }
+
+    // Any transition: fn(from, to). Returns an unsubscribe function.
+    subscribe(fn) {
+        this.listeners.push(fn);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== fn);
+        };
+    }
+
+    addHook(table, state, fn) {
+        if (!(state in TRANSITIONS)) throw new Error(`STATE: Unknown state "${state}"`);
+        if (!table[state]) table[state] = [];
+        table[state].push(fn);
+        return () => {
+            table[state] = table[state].filter(h => h !== fn);
+        };
+    }
+
+    runHooks(table, state, from, to) {
+        (table[state] || []).forEach(fn => fn(from, to));
+    }
+}
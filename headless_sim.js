@@ -0,0 +1,247 @@
+import { FacilitySystem } from './facility_system.js';
+import { Stalker } from './stalker.js';
+import { GameState, GameStateMachine } from './game_state.js';
+import { EventBus, FacilityEvent } from './event_bus.js';
+import { TelemetryRecorder, telemetryToCSV } from './telemetry.js';
+import { buildDifficulty } from './difficulty.js';
+import { stepStamina } from './stamina.js';
+
+// [HEADLESS SIMULATION]
+// Runs the paranoia / messaging / event logic (and the stalker) without a browser: no DOM, no WebGL,
+// no PointerLockControls. A SyntheticPlayer produces the same `metrics` shape as
+// Player, and the bus output is recorded instead of rendered.
+//
+//   node --experimental-default-type=module headless_sim.js [seed] [--difficulty=nightmare] [--csv=telemetry.csv]
+//
+// (Node 22.7+ detects ES modules on its own and does not need the flag.)
+
+const FIXED_STEP = 1 / 60; // Same tick as the game loop
+
+// Behaviours a script can ask for
+export const Behavior = Object.freeze({
+    IDLE: { moving: false, lookingBack: false },
+    WALK: { moving: true, lookingBack: false },
+    LOOK_BACK: { moving: false, lookingBack: true },
+    WALK_LOOKING_BACK: { moving: true, lookingBack: true },
+    SPRINT: { moving: true, lookingBack: false, sprinting: true },
+    BACKPEDAL: { moving: true, lookingBack: false, backward: true },
+    STARE: { moving: false, lookingBack: false, staring: true }, // At a wall
+    CROUCH: { moving: false, lookingBack: false, crouching: true }
+});
+
+export class SyntheticPlayer {
+    // phases: [{ duration: seconds, behavior: Behavior.X }, ...] (last phase repeats forever)
+    constructor(phases, options = {}) {
+        this.phases = phases;
+        this.walkSpeed = options.walkSpeed || 3.0;
+        this.time = 0;
+        this.zoneTimer = 0;
+        this.stamina = { stamina: 1.0, exhausted: false };
+
+        this.metrics = {
+            distanceTraveled: 0,
+            stationaryTime: 0,
+            continuousForwardTime: 0,
+            isStationary: true,
+            isLookingBack: false,
+            zoneHistory: [],
+            gazeTarget: null,
+            gazeKind: null,
+            gazeId: null,
+            facing: { x: 0, z: -1 },
+            gazeDuration: 0,
+            lastPosition: { x: 0, y: 1.6, z: 0 },
+            totalDistance: 0,
+            lookBackCount: 0,
+            lastYaw: 0,
+            lastActionTime: 0,
+            rotationSpeed: 0,
+            distToVoid: 99999,
+            isSprinting: false,
+            isCrouching: false,
+            stamina: 1.0,
+            noise: 0,
+            backwardAmount: 0,
+            strafeAmount: 0
+        };
+    }
+
+    currentBehavior() {
+        let t = this.time;
+        for (const phase of this.phases) {
+            if (t < phase.duration) return phase.behavior;
+            t -= phase.duration;
+        }
+        return this.phases[this.phases.length - 1].behavior;
+    }
+
+    update(delta) {
+        const behavior = this.currentBehavior();
+        const m = this.metrics;
+        this.time += delta;
+
+        // Posture (same stamina model as Player.updatePosture: no sprint while exhausted)
+        m.isCrouching = !!behavior.crouching;
+        m.isSprinting = !!behavior.sprinting && behavior.moving && !m.isCrouching && !this.stamina.exhausted;
+        stepStamina(this.stamina, m.isSprinting, behavior.moving, delta);
+        m.stamina = this.stamina.stamina;
+        m.noise = !behavior.moving ? 0 : (m.isSprinting ? 1.0 : (m.isCrouching ? 0.2 : 0.5));
+
+        // Movement (straight down the corridor, -Z; backpedalling goes +Z facing forward)
+        if (behavior.moving) {
+            const step = this.walkSpeed * (m.isSprinting ? 1.7 : 1.0) * delta;
+            m.lastPosition.z += behavior.backward ? step : -step;
+            m.distanceTraveled += step;
+            m.totalDistance += step;
+            m.stationaryTime = 0;
+            m.isStationary = false;
+            m.continuousForwardTime = behavior.lookingBack || behavior.backward ? 0 : m.continuousForwardTime + delta;
+        } else {
+            m.stationaryTime += delta;
+            m.isStationary = true;
+            m.continuousForwardTime = 0;
+        }
+
+        m.backwardAmount = behavior.backward ? 1 : 0;
+
+        // Gaze (there are no walls here: staring just holds one)
+        m.gazeKind = behavior.staring ? 'wall' : null;
+        m.gazeDuration = behavior.staring ? m.gazeDuration + delta : 0;
+
+        // Look-back (mirrors Player.updateMetrics); looking back faces down the corridor behind
+        m.isLookingBack = behavior.lookingBack;
+        m.facing.z = behavior.lookingBack ? 1 : -1;
+        m.rotationSpeed = behavior.lookingBack ? 4.0 : 0;
+        if (behavior.lookingBack) {
+            m.lookBackCount += delta;
+        } else {
+            m.lookBackCount = Math.max(0, m.lookBackCount - delta);
+        }
+
+        // Zone history (5-unit zones, once per second)
+        this.zoneTimer += delta;
+        if (this.zoneTimer > 1.0) {
+            this.zoneTimer = 0;
+            m.zoneHistory.push(Math.round(m.lastPosition.z / 5) * 5);
+            if (m.zoneHistory.length > 20) m.zoneHistory.shift();
+        }
+
+        m.lastActionTime = this.time;
+    }
+}
+
+// High-frequency events are only counted, everything else lands in the timeline
+const COUNT_ONLY = [FacilityEvent.DRIFT_CHANGED, FacilityEvent.SURVIVAL_TICK];
+
+export class HeadlessSimulation {
+    constructor(player, options = {}) {
+        this.player = player;
+        this.seed = options.seed || 'HEADLESS';
+        this.difficulty = buildDifficulty(options.difficulty || 'standard');
+        this.step = options.step || FIXED_STEP;
+        this.time = 0;
+
+        this.states = new GameStateMachine();
+        this.events = new EventBus();
+        this.system = new FacilitySystem(player, this.events, { difficulty: this.difficulty });
+        this.system.setSeed(this.seed);
+        this.system.bindStateMachine(this.states);
+        this.stalker = new Stalker(player, this.events, { difficulty: this.difficulty });
+        this.stalker.bindStateMachine(this.states);
+
+        // [RECORDING]
+        this.timeline = [];
+        this.counts = {};
+        Object.values(FacilityEvent).forEach(type => {
+            this.counts[type] = 0;
+            this.events.on(type, (payload) => {
+                this.counts[type]++;
+                if (!COUNT_ONLY.includes(type)) {
+                    this.timeline.push({ time: this.time, type: type, ...payload });
+                }
+            });
+        });
+        this.states.subscribe((from, to) => {
+            this.timeline.push({ time: this.time, type: 'state', from: from, to: to });
+        });
+
+        // Same per-second samples the game exports with ?telemetry
+        this.telemetry = new TelemetryRecorder(this.events, this.states);
+        this.telemetry.start(this.seed, this.difficulty.name);
+
+        // Straight into the corridor (the intro room has no paranoia logic)
+        this.states.transition(GameState.INTRO);
+        this.states.transition(GameState.CORRIDOR);
+    }
+
+    tick() {
+        this.time += this.step;
+        this.telemetry.update(this.time, this.states.current, this.system, this.player.metrics);
+        this.player.update(this.step);
+        this.system.update(this.time, this.step);
+        this.stalker.update(this.step, this.system.getParanoiaFactor(), this.system.getDarkness());
+        this.system.updateClock(this.step);
+    }
+
+    // Run for `seconds` of game time, or until stopWhen(sim) returns true
+    run(seconds, stopWhen = null) {
+        const ticks = Math.ceil(seconds / this.step);
+        for (let i = 0; i < ticks; i++) {
+            this.tick();
+            if (stopWhen && stopWhen(this)) break;
+        }
+        return this.report();
+    }
+
+    firstTime(type, match = () => true) {
+        const entry = this.timeline.find(e => e.type === type && match(e));
+        return entry ? entry.time : null;
+    }
+
+    report() {
+        return {
+            seed: this.seed,
+            difficulty: this.difficulty.name,
+            simulatedSeconds: this.time,
+            state: this.states.current,
+            paranoiaLevel: this.system.paranoiaLevel,
+            band: this.system.statusBand,
+            psychosisAt: this.firstTime('state', e => e.to === GameState.PSYCHOSIS_HOLD),
+            endgameAt: this.firstTime(FacilityEvent.ENDGAME_ENTERED),
+            caughtAt: this.firstTime(FacilityEvent.STALKER_CAUGHT),
+            counts: { ...this.counts },
+            factors: { ...this.system.factorTotals }, // Paranoia points each factor added (or took) over the run
+            messages: this.timeline.filter(e => e.type === FacilityEvent.MESSAGE_SHOWN).map(e => e.text)
+        };
+    }
+}
+
+// [CLI] Example: walk for a bit, then keep looking back until the endgame
+const isMain = typeof process !== 'undefined' && process.argv[1] &&
+    import.meta.url === new URL(`file://${process.argv[1]}`).href;
+
+if (isMain) {
+    const player = new SyntheticPlayer([
+        { duration: 30, behavior: Behavior.WALK },
+        { duration: Infinity, behavior: Behavior.WALK_LOOKING_BACK }
+    ]);
+    const args = process.argv.slice(2);
+    const seed = args.find(a => !a.startsWith('--')) || 'HEADLESS';
+    const csvArg = args.find(a => a.startsWith('--csv='));
+    const difficultyArg = args.find(a => a.startsWith('--difficulty='));
+
+    const sim = new HeadlessSimulation(player, {
+        seed: seed,
+        difficulty: difficultyArg ? difficultyArg.slice('--difficulty='.length) : 'standard'
+    });
+    const report = sim.run(60 * 60, s => s.states.is(GameState.ENDGAME));
+    console.log(JSON.stringify(report, null, 2));
+
+    if (csvArg) {
+        // Telemetry rows, ready to chart next to exported playtests
+        const { writeFileSync } = await import('node:fs');
+        const path = csvArg.slice('--csv='.length);
+        writeFileSync(path, telemetryToCSV(sim.telemetry.finish(report.state.toLowerCase())));
+        console.log(`Telemetry written to ${path}`);
+    }
+}
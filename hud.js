@@ -0,0 +1,69 @@
+import { FacilityEvent } from './event_bus.js';
+import { hasLetterCase } from './localization.js';
+
+// [HUD]
+// DOM side of FacilitySystem: renders messages and the neuro-status readout
+// from bus events. FacilitySystem itself never touches the page.
+export class Hud {
+    constructor(events, uiElements) {
+        this.ui = uiElements;
+        this.ui.voice = document.getElementById('voice-overlay'); // Direct access
+        this.ui.clock = document.getElementById('clock');
+
+        events.on(FacilityEvent.MESSAGE_SHOWN, ({ text, pFactor }) => this.logMessage(text, pFactor));
+        events.on(FacilityEvent.PARANOIA_BAND_CHANGED, ({ label, statusClass }) => this.updateStatus(label, statusClass));
+        events.on(FacilityEvent.SURVIVAL_TICK, ({ seconds }) => this.updateClock(seconds));
+    }
+
+    clear() {
+        const targetContainer = this.ui.voice || this.ui.log;
+        if (targetContainer) targetContainer.innerHTML = '';
+    }
+
+    logMessage(text, pFactor = 0) {
+        // Use Voice Overlay if available, else fallback
+        const targetContainer = this.ui.voice || this.ui.log;
+
+        targetContainer.innerHTML = ''; // Single message at a time
+
+        const entry = document.createElement('div');
+        // Use appropriate class based on container
+        entry.classList.add(this.ui.voice ? 'voice-entry' : 'log-entry');
+        entry.innerText = text;
+        entry.dir = 'auto'; // Right-to-left scripts
+
+        // Caseless scripts (Japanese, Arabic): no tracking, size does the shouting instead
+        const cased = hasLetterCase(text);
+        if (!cased) entry.classList.add('caseless');
+
+        // Urgency styling
+        entry.style.fontWeight = (pFactor > 0.5) ? 'bold' : '300';
+
+        if (pFactor > 0.8) {
+            entry.style.color = '#ff0000'; // Pure Red
+            entry.style.textShadow = '0 0 20px red';
+            entry.style.fontSize = cased ? '32px' : '38px'; // Larger than base 24px
+            if (cased) entry.style.letterSpacing = '6px';
+        }
+
+        targetContainer.appendChild(entry);
+    }
+
+    updateClock(totalSeconds) {
+        if (!this.ui.clock) return;
+
+        const safeSeconds = Math.min(totalSeconds, 359999);
+
+        const hrs = Math.floor(safeSeconds / 3600).toString().padStart(2, '0');
+        const mins = Math.floor((safeSeconds % 3600) / 60).toString().padStart(2, '0');
+        const secs = (safeSeconds % 60).toString().padStart(2, '0');
+        this.ui.clock.innerText = `${hrs}:${mins}:${secs}`;
+    }
+
+    updateStatus(text, className) {
+        if (this.ui.neuro) {
+            this.ui.neuro.innerText = text;
+            this.ui.neuro.className = className;
+        }
+    }
+}
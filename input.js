@@ -0,0 +1,137 @@
+// [INPUT]
+// Maps raw devices onto player actions. Keys are rebindable (bindings live in
+// Settings, see SETTINGS_SCHEMA 'binding' entries); a gamepad adds analog movement
+// (left stick) and look (right stick). Player and replays only ever see actions,
+// never key codes, so rebinding can't break a recorded run.
+
+export const Action = Object.freeze({
+    FORWARD: 'forward',
+    BACKWARD: 'backward',
+    LEFT: 'left',
+    RIGHT: 'right',
+    SPRINT: 'sprint',
+    CROUCH: 'crouch'
+});
+
+// Action -> settings key holding its key codes
+export const BINDING_SETTINGS = Object.freeze({
+    [Action.FORWARD]: 'bindForward',
+    [Action.BACKWARD]: 'bindBackward',
+    [Action.LEFT]: 'bindLeft',
+    [Action.RIGHT]: 'bindRight',
+    [Action.SPRINT]: 'bindSprint',
+    [Action.CROUCH]: 'bindCrouch'
+});
+
+export const MAX_KEYS_PER_ACTION = 2;
+
+// Handled by the client before bindings are consulted
+export const RESERVED_KEYS = ['Escape', 'F8', 'Backquote'];
+
+const LOOK_SPEED = 3.5; // Radians/second at full right-stick tilt and sensitivity 1 (a full flick reads as a look-back)
+
+// Standard mapping (https://w3c.github.io/gamepad/#remapping): stick Y axes point down
+const AXIS_MOVE_X = 0;
+const AXIS_MOVE_Y = 1;
+const AXIS_LOOK_X = 2;
+const AXIS_LOOK_Y = 3;
+const SPRINT_BUTTONS = [10, 4]; // Left stick click, left bumper
+const CROUCH_BUTTONS = [1, 11]; // B / circle, right stick click
+
+export class InputMapper {
+    constructor() {
+        this.actions = new Map(); // code -> action
+        this.deadZone = 0.15;
+        this.curve = 2.0;
+        this.lookSensitivity = 1.0;
+        this.activePad = null; // Index of the gamepad last used
+
+        window.addEventListener('gamepadconnected', (e) => {
+            console.log(`INPUT: Gamepad connected (${e.gamepad.id})`);
+        });
+        window.addEventListener('gamepaddisconnected', (e) => {
+            console.log(`INPUT: Gamepad disconnected (${e.gamepad.id})`);
+            if (this.activePad === e.gamepad.index) this.activePad = null;
+        });
+    }
+
+    bindSettings(settings) {
+        const apply = () => {
+            this.actions.clear();
+            for (const action in BINDING_SETTINGS) {
+                settings.get(BINDING_SETTINGS[action]).forEach(code => this.actions.set(code, action));
+            }
+            this.deadZone = settings.get('gamepadDeadZone');
+            this.curve = settings.get('gamepadCurve');
+            this.lookSensitivity = settings.get('gamepadLookSensitivity');
+        };
+        settings.subscribe(apply);
+        apply();
+    }
+
+    actionFor(code) {
+        return this.actions.get(code) || null;
+    }
+
+    // Per rendered frame. Returns null without a gamepad, otherwise
+    // { moveX, moveY } (-1..1, +Y forward, magnitude = walking speed),
+    // { yaw, pitch } (radians to turn this frame) and { sprint, crouch } (held).
+    pollGamepad(frameDelta) {
+        const pad = this.findGamepad();
+        if (!pad) return null;
+
+        const move = this.shapeStick(pad.axes[AXIS_MOVE_X] || 0, -(pad.axes[AXIS_MOVE_Y] || 0), 1.0);
+        const look = this.shapeStick(pad.axes[AXIS_LOOK_X] || 0, -(pad.axes[AXIS_LOOK_Y] || 0), this.curve);
+        const turn = LOOK_SPEED * this.lookSensitivity * frameDelta;
+
+        return {
+            moveX: move.x,
+            moveY: move.y,
+            yaw: look.x * turn,
+            pitch: look.y * turn,
+            sprint: SPRINT_BUTTONS.some(i => pad.buttons[i] && pad.buttons[i].pressed),
+            crouch: CROUCH_BUTTONS.some(i => pad.buttons[i] && pad.buttons[i].pressed)
+        };
+    }
+
+    findGamepad() {
+        if (typeof navigator.getGamepads !== 'function') return null;
+        const pads = navigator.getGamepads();
+
+        if (this.activePad !== null && pads[this.activePad] && pads[this.activePad].connected) {
+            return pads[this.activePad];
+        }
+        // First pad that is actually being touched (some browsers list phantom devices)
+        for (const pad of pads) {
+            if (!pad || !pad.connected || pad.mapping !== 'standard') continue;
+            if (pad.axes.some(v => Math.abs(v) > this.deadZone) || pad.buttons.some(b => b.pressed)) {
+                this.activePad = pad.index;
+                return pad;
+            }
+        }
+        return null;
+    }
+
+    // Radial dead zone, then the remaining range rescaled to 0..1 and raised to `curve`
+    // (curve > 1: fine control near the center, full speed at the rim)
+    shapeStick(x, y, curve) {
+        const magnitude = Math.sqrt(x * x + y * y);
+        if (magnitude <= this.deadZone) return { x: 0, y: 0 };
+
+        const scaled = Math.min((magnitude - this.deadZone) / (1 - this.deadZone), 1);
+        const shaped = Math.pow(scaled, curve);
+        return { x: (x / magnitude) * shaped, y: (y / magnitude) * shaped };
+    }
+}
+
+// Display name for a key code in the settings menu
+export function keyLabel(code) {
+    if (code.startsWith('Key')) return code.slice(3);
+    if (code.startsWith('Digit')) return code.slice(5);
+    const names = {
+        ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→',
+        ShiftLeft: 'L-SHIFT', ShiftRight: 'R-SHIFT', ControlLeft: 'L-CTRL', ControlRight: 'R-CTRL',
+        AltLeft: 'L-ALT', AltRight: 'R-ALT', Space: 'SPACE'
+    };
+    return names[code] || code;
+}
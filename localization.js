@@ -0,0 +1,222 @@
+// [LOCALIZATION]
+// Every player-facing string of the facility (messages, status bands), the page
+// (HUD, title, pause and warning screens), the settings menu and captions by key.
+// English is built in; other languages are flat key -> text tables in
+// locales/<locale>.json, fetched at startup. A key missing from a table falls back
+// to English, so a partial translation is still playable.
+// Message ids never depend on the language, so runs and replays are identical in every locale.
+//
+// Texts may contain {name} placeholders, filled from t()'s params. Facility messages get
+// FacilitySystem.messageData(): {lookBacks} {standing} {lastStop} {distance} {minutes}
+// {seconds} {shiftId}.
+
+export const DEFAULT_LOCALE = 'en';
+export const SUPPORTED_LOCALES = ['en', 'es', 'ja', 'ar'];
+
+export const EN_STRINGS = {
+    // Page (index.html elements carry data-i18n="<key>")
+    'hud.os': 'FACILITY_OS v9.0.2',
+    'hud.bioMetrics': 'BIO-METRICS:',
+    'hud.neuroSync': 'NEURO-SYNC:',
+    'hud.shiftId': 'SHIFT_ID:',
+    'hud.calibrating': 'CALIBRATING',
+    'hud.seed': 'SEED: {seed}',
+
+    'pause.title': 'PAUSED',
+    'pause.hint': 'CLICK TO RESUME',
+    'pause.hintTouch': 'TAP TO RESUME',
+    'pause.settings': 'SETTINGS',
+
+    'title.name': "DON'T LOOK BACK",
+    'title.hint': 'CLICK TO BEGIN',
+    'title.hintTouch': 'TAP TO CONTINUE',
+    'difficulty.calm': 'CALM',
+    'difficulty.standard': 'STANDARD',
+    'difficulty.nightmare': 'NIGHTMARE',
+    'difficulty.custom': 'CUSTOM',
+    'difficulty.calm.description': 'IT IS SLOWER TO NOTICE YOU. THE FACILITY IS QUIETER.',
+    'difficulty.standard.description': 'THE FACILITY AS IT WAS DESIGNED.',
+    'difficulty.nightmare.description': 'EVERY GLANCE COUNTS. IT DOES NOT FORGET.',
+    'difficulty.custom.description': 'YOUR OWN RATES (SETTINGS > CUSTOM DIFFICULTY).',
+
+    'flash.title': 'WARNING',
+    'flash.body': 'This game contains flickering lights, flashing images and sudden full-screen visuals that may trigger seizures in people with photosensitive epilepsy.',
+    'flash.limitInfo': 'LIMIT FLASHING keeps every flashing effect under three flashes per second. You can change this later in SETTINGS.',
+    'flash.limit': 'LIMIT FLASHING',
+    'flash.continue': 'CONTINUE WITHOUT LIMIT',
+    'flash.hide': "DON'T SHOW AGAIN",
+
+    'touch.rotate': 'ROTATE YOUR DEVICE TO LANDSCAPE',
+    'touch.play': 'TAP TO PLAY (FULLSCREEN)',
+    'touch.help': 'LEFT THUMB: MOVE    RIGHT THUMB: LOOK',
+
+    // Paranoia bands (FacilitySystem.statusBand ids)
+    'status.STABLE': 'STABLE',
+    'status.UNSETTLED': 'UNSETTLED',
+    'status.AGITATED': 'AGITATED',
+    'status.HYSTERIA': 'HYSTERIA',
+    'status.PSYCHOSIS': 'PSYCHOSIS',
+
+    // Facility messages (FacilitySystem.messagePools ids)
+    'message.why_stopped': 'WHY HAVE YOU STOPPED?',
+    'message.continue_moving': 'CONTINUE MOVING',
+    'message.hear_it': 'CAN YOU HEAR IT?',
+    'message.being_watched': 'YOU ARE BEING WATCHED',
+    'message.nothing_behind': 'THERE IS NOTHING BEHIND YOU',
+    'message.looking_back_unnecessary': 'LOOKING BACK IS UNNECESSARY',
+    'message.keep_checking': 'WHY DO YOU KEEP CHECKING?',
+    'message.dont_look_back': "DON'T LOOK BACK",
+    'message.seem_nervous': 'YOU SEEM NERVOUS',
+    'message.keep_walking': 'KEEP WALKING',
+    'message.do_not_stop': 'DO NOT STOP',
+    'message.making_progress': 'YOU ARE MAKING PROGRESS',
+    'message.corridor_continues': 'THE CORRIDOR CONTINUES',
+    'message.remembers_you': 'THIS PLACE REMEMBERS YOU',
+    'message.been_here_before': 'HAVE YOU BEEN HERE BEFORE?',
+    'message.cannot_go_back': 'YOU CANNOT GO BACK',
+    'message.they_know': 'THEY KNOW YOU KNOW',
+    'message.dont_turn_around': 'DONT TURN AROUND',
+    'message.getting_closer': 'IT IS GETTING CLOSER',
+    'message.run': 'RUN',
+    'message.it_was_a_lie': 'IT WAS A LIE',
+    'message.that_was_false': 'THAT WAS FALSE',
+    'message.where_going': 'WHERE ARE YOU GOING?',
+    'message.cannot_outrun': 'YOU CANNOT OUTRUN IT',
+    'message.running_worse': 'RUNNING ONLY MAKES IT WORSE',
+    'message.hear_you_breathe': 'IT CAN STILL HEAR YOU BREATHE',
+    'message.hiding_wont_help': 'HIDING WILL NOT HELP',
+    'message.stay_down': 'STAY DOWN',
+    'message.it_moved': "IT MOVED WHILE YOU WEREN'T LOOKING",
+
+    // Templated messages (conditions: FacilitySystem MESSAGE_CONDITIONS)
+    'message.looked_back_times': 'YOU HAVE LOOKED BACK {lookBacks} TIMES',
+    'message.standing_for': 'YOU HAVE BEEN STANDING THERE FOR {standing} SECONDS',
+    'message.stood_there': 'YOU STOOD THERE FOR {lastStop} SECONDS',
+    'message.walked_meters': '{distance} METERS. THE CORRIDOR HAS NOT ENDED',
+    'message.minutes_awake': '{minutes} MINUTES. NO ONE LASTS THIS LONG',
+    'message.shift_not_over': 'SHIFT {shiftId} IS NOT OVER',
+
+    // Settings menu (SETTINGS_SCHEMA sections and keys)
+    'settings.defaults': 'DEFAULTS',
+    'settings.back': 'BACK',
+    'settings.pressKey': 'PRESS A KEY',
+    'settings.unbound': 'UNBOUND',
+    'settings.on': 'ON',
+    'settings.off': 'OFF',
+    'settings.section.AUDIO': 'AUDIO',
+    'settings.section.CONTROLS': 'CONTROLS',
+    'settings.section.TOUCH': 'TOUCH',
+    'settings.section.GAMEPAD': 'GAMEPAD',
+    'settings.section.GRAPHICS': 'GRAPHICS',
+    'settings.section.COMFORT': 'COMFORT',
+    'settings.section.CUSTOM_DIFFICULTY': 'CUSTOM DIFFICULTY',
+    'settings.label.masterVolume': 'MASTER',
+    'settings.label.musicVolume': 'MUSIC',
+    'settings.label.effectsVolume': 'EFFECTS',
+    'settings.label.ambienceVolume': 'AMBIENCE',
+    'settings.label.captions': 'CAPTIONS',
+    'settings.label.captionPosition': 'CAPTION HEIGHT',
+    'settings.label.mouseSensitivity': 'MOUSE SENSITIVITY',
+    'settings.label.invertY': 'INVERT Y',
+    'settings.label.bindForward': 'FORWARD',
+    'settings.label.bindBackward': 'BACK',
+    'settings.label.bindLeft': 'LEFT',
+    'settings.label.bindRight': 'RIGHT',
+    'settings.label.bindSprint': 'SPRINT (HOLD)',
+    'settings.label.bindCrouch': 'CROUCH (HOLD)',
+    'settings.label.touchLookSensitivity': 'DRAG-TO-LOOK SENSITIVITY',
+    'settings.label.gamepadLookSensitivity': 'LOOK SENSITIVITY',
+    'settings.label.gamepadDeadZone': 'DEAD ZONE',
+    'settings.label.gamepadCurve': 'LOOK CURVE',
+    'settings.label.fov': 'FIELD OF VIEW',
+    'settings.label.resolutionScale': 'RESOLUTION SCALE',
+    'settings.label.shadows': 'SHADOWS',
+    'settings.label.reducedMotion': 'REDUCED MOTION',
+    'settings.label.flashLimiter': 'LIMIT FLASHING',
+    'settings.label.flashWarning': 'FLASH WARNING ON STARTUP',
+    'settings.label.customParanoiaGain': 'PARANOIA GAIN',
+    'settings.label.customParanoiaDecay': 'PARANOIA RECOVERY',
+    'settings.label.customPsychosisHold': 'PSYCHOSIS HOLD (SECONDS)',
+    'settings.label.customEventRate': 'FLICKERS / BLACKOUTS / TWISTS',
+    'settings.label.customMessageRate': 'MESSAGE FREQUENCY',
+    'settings.label.customFootstepRate': 'PHANTOM FOOTSTEPS',
+    'settings.label.customStalkerSpeed': 'STALKER SPEED',
+
+    // Captions (AudioSystem caption keys, then directions)
+    'caption.shriek': 'piercing shriek',
+    'caption.violin': 'violin strings plucking',
+    'caption.ringing': 'high-pitched ringing',
+    'caption.clock': 'clock ticking',
+    'caption.footsteps': 'footsteps',
+    'caption.hum': 'low droning hum',
+    'caption.drone': 'roaring drone',
+    'caption.whispers': 'whispers',
+    'caption.heartbeat': 'heartbeat',
+    'caption.heartbeatQuickening': 'heartbeat quickening',
+    'caption.heartbeatRacing': 'heartbeat racing',
+    'caption.direction.ahead': 'ahead',
+    'caption.direction.behind': 'behind you',
+    'caption.direction.left': 'to your left',
+    'caption.direction.right': 'to your right'
+};
+
+export class Localization {
+    constructor(locale = DEFAULT_LOCALE, table = {}) {
+        this.locale = locale;
+        this.table = table;
+        this.missing = new Set(); // Keys already reported
+    }
+
+    // Never rejects: an unknown or unreachable locale plays in English
+    static async load(locale) {
+        if (locale === DEFAULT_LOCALE) return new Localization();
+        try {
+            const response = await fetch(`locales/${locale}.json`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const table = await response.json();
+            console.log(`I18N: Loaded ${locale} (${Object.keys(table).length} strings)`);
+            return new Localization(locale, table);
+        } catch (e) {
+            console.warn(`I18N: Could not load locale "${locale}", using English`, e);
+            return new Localization();
+        }
+    }
+
+    t(key, params = {}) {
+        let text = this.table[key];
+        if (typeof text !== 'string') {
+            text = EN_STRINGS[key];
+            if (!this.missing.has(key) && (this.locale !== DEFAULT_LOCALE || text === undefined)) {
+                this.missing.add(key);
+                console.warn(`I18N: Missing "${key}" (${this.locale})`);
+            }
+            if (text === undefined) return key;
+        }
+        return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+    }
+
+    // Fills every [data-i18n] element under root
+    applyTo(root) {
+        root.querySelectorAll('[data-i18n]').forEach(el => {
+            el.innerText = this.t(el.dataset.i18n);
+        });
+        document.documentElement.lang = this.locale;
+    }
+}
+
+// ?lang=xx wins, then the browser's preferred languages, then English
+export function resolveLocale(search, languages = []) {
+    const requested = [new URLSearchParams(search).get('lang'), ...languages];
+    for (const tag of requested) {
+        if (!tag) continue;
+        const base = tag.toLowerCase().split('-')[0];
+        if (SUPPORTED_LOCALES.includes(base)) return base;
+    }
+    return DEFAULT_LOCALE;
+}
+
+// Scripts without letter case (Japanese, Arabic, ...) can't be emphasised with capitals,
+// and letter spacing breaks Arabic joining
+export function hasLetterCase(text) {
+    return text.toLowerCase() !== text.toUpperCase();
+}
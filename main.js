@@ -1,13 +1,40 @@
 import * as THREE from 'three';
-import { Player } from './player.js?v=void_physics_v3';
-import { FacilityGenerator } from './environment.js?v=endgame_vis_v4';
-import { FacilitySystem } from './facility_system.js?v=ev_reset_v2';
-import { AudioSystem } from './audio_system.js?v=v1';
+import { Player } from './player.js';
+import { FacilityGenerator } from './environment.js';
+import { FacilitySystem } from './facility_system.js';
+import { Stalker } from './stalker.js';
+import { AudioSystem } from './audio_system.js';
+import { generateSeed, shiftIdFor } from './random.js';
+import { GameState, GameStateMachine } from './game_state.js';
+import { SaveSystem } from './save_system.js';
+import { EventBus } from './event_bus.js';
+import { Hud } from './hud.js';
+import { ReplayRecorder, ReplayPlayer, parseReplay, downloadReplay, stashReplay, takeStashedReplay } from './replay.js';
+import { TelemetryRecorder, downloadTelemetry } from './telemetry.js';
+import { DebugPanel } from './debug_panel.js';
+import { Settings } from './settings.js';
+import { SettingsMenu } from './settings_menu.js';
+import { buildDifficulty, restoreDifficulty } from './difficulty.js';
+import { Tuning, DEFAULT_TUNING } from './tuning.js';
+import { ComfortOverlay } from './comfort_overlay.js';
+import { FlashLimiter } from './flash_limiter.js';
+import { Captions } from './captions.js';
+import { Action, InputMapper } from './input.js';
+import { TouchControls, isTouchDevice } from './touch_controls.js';
+import { Localization, resolveLocale } from './localization.js';
 
 console.log("FACILITY_OS: CORE SYSTEM INITIALIZED");
 
+// [SIMULATION TIMING]
+const FIXED_STEP = 1 / 60; // 60 Hz simulation tick
+const MAX_FRAME_DELTA = 0.25; // Ignore huge gaps (tab switch, breakpoint)
+const MAX_STEPS_PER_FRAME = 8;
+const SAVE_INTERVAL = 5.0; // Seconds of corridor play between autosaves
+
 class GameClient {
-    constructor() {
+    constructor(tuning, strings) {
+        this.tuning = tuning;
+        this.strings = strings;
         this.container = document.body;
         this.clock = new THREE.Clock();
 
@@ -25,10 +52,13 @@ class GameClient {
     }
 
     init() {
+        // [LOCALIZATION]
+        this.strings.applyTo(document);
+
         // [SCENE SETUP]
         this.scene = new THREE.Scene();
         this.scene.background = new THREE.Color(0x000000); // PITCH BLACK
-        this.scene.fog = new THREE.FogExp2(0x000000, 0.02); // Restore Fog
+        this.scene.fog = new THREE.FogExp2(0x000000, this.tuning.get('fog').density); // Restore Fog (tuning.json, loaded before the client starts)
 
         // [CAMERA SETUP]
         this.camera = new THREE.PerspectiveCamera(70, window.innerWidth / window.innerHeight, 0.1, 2000);
@@ -50,11 +80,51 @@ class GameClient {
         const ambientLight = new THREE.AmbientLight(0x111111, 0.5); // Low ambient
         this.scene.add(ambientLight);
 
+        // [SETTINGS]
+        this.settings = new Settings();
+        this.settings.subscribe(() => this.applyGraphicsSettings());
+        this.applyGraphicsSettings();
+
+        // [PHOTOSENSITIVITY]
+        // One limiter shared by every flashing effect (lights, mirage, overlays)
+        this.flashLimiter = new FlashLimiter();
+        this.flashLimiter.bindSettings(this.settings);
+
+        // [RUN SAVES]
+        this.saves = new SaveSystem();
+        this.resumeSave = this.saves.load();
+        this.saveTimer = 0;
+
+        if (this.resumeSave && !(this.resumeSave.player && this.resumeSave.generator && this.resumeSave.facility)) {
+            console.warn("MAIN: Incomplete save discarded");
+            this.saves.clear();
+            this.resumeSave = null;
+        }
+
+        // [REPLAYS]
+        this.recorder = new ReplayRecorder(FIXED_STEP);
+        this.replayer = null;
+        const pendingReplay = takeStashedReplay();
+        if (pendingReplay) {
+            console.log(`REPLAY: Playing back ${pendingReplay.ticks} ticks (seed ${pendingReplay.seed})`);
+            this.replayer = new ReplayPlayer(pendingReplay);
+            this.resumeSave = null; // Replays always start from the intro
+        }
+
+        // [RUN SEED]
+        this.seed = this.resolveSeed();
+
+        // [GAME FLOW]
+        this.states = new GameStateMachine();
+        this.events = new EventBus();
+
         // [WORLD GEN]
-        this.generator = new FacilityGenerator(this.scene, this.camera);
+        this.generator = new FacilityGenerator(this.scene, this.camera, this.seed, { flashLimiter: this.flashLimiter });
 
         // [PLAYER]
         this.player = new Player(this.camera, document.body);
+        this.inputs = new InputMapper(); // Keys -> actions, gamepad sticks
+        this.padActions = { [Action.SPRINT]: false, [Action.CROUCH]: false }; // Gamepad buttons held last frame
 
         // [UI SETUP]
         this.ui = {
@@ -64,7 +134,12 @@ class GameClient {
         };
 
         // [SYSTEM]
-        this.system = new FacilitySystem(this.player, this.generator, this.ui);
+        this.system = new FacilitySystem(this.player, this.events, { strings: this.strings, world: this.generator });
+        this.system.setSeed(this.seed);
+        this.stalker = new Stalker(this.player, this.events, { world: this.generator });
+        this.hud = new Hud(this.events, this.ui);
+        this.comfort = new ComfortOverlay(this.player);
+        this.captions = new Captions(this.events, this.strings);
 
         // [BACKGROUND MUSIC]
         this.bgMusic = new Audio('audio/The Carpathians.mp3');
@@ -76,10 +151,83 @@ class GameClient {
         // [PSYCHOLOGICAL AUDIO SYSTEM]
         this.audioSystem = new AudioSystem(this.camera);
 
+        // [STATE SUBSCRIPTIONS]
+        // Systems first (they reset/build their own state), then the client's UI/music hooks
+        this.generator.bindStateMachine(this.states);
+        this.player.bindStateMachine(this.states);
+        this.system.bindStateMachine(this.states);
+        this.stalker.bindStateMachine(this.states);
+        this.audioSystem.bindStateMachine(this.states);
+        this.bindStateHooks();
+
+        // [TELEMETRY]
+        // Designer playtests: ?telemetry downloads JSON + CSV when a run ends
+        this.telemetry = new URLSearchParams(window.location.search).has('telemetry')
+            ? new TelemetryRecorder(this.events, this.states)
+            : null;
+
+        // [TOUCH CONTROLS]
+        // Phones/tablets: no pointer lock, so a joystick + drag-to-look scheme replaces it
+        this.touch = isTouchDevice() ? new TouchControls(this) : null;
+
+        // [DEBUG PANEL]
+        // Developer-only: never created in normal play
+        this.debug = new URLSearchParams(window.location.search).has('debug') ? new DebugPanel(this) : null;
+
+        // [SETTINGS SUBSCRIPTIONS]
+        this.player.bindSettings(this.settings);
+        this.inputs.bindSettings(this.settings);
+        if (this.touch) this.touch.bindSettings(this.settings);
+        this.audioSystem.bindSettings(this.settings);
+        this.comfort.bindSettings(this.settings);
+        this.captions.bindSettings(this.settings);
+
+        // [TUNING SUBSCRIPTIONS]
+        // ?tuning re-fetches tuning.json every few seconds and applies edits live
+        this.generator.bindTuning(this.tuning);
+        this.audioSystem.bindTuning(this.tuning);
+        this.bindFogTuning();
+        if (new URLSearchParams(window.location.search).has('tuning')) this.tuning.watch();
+
+        // [EVENT SUBSCRIPTIONS]
+        this.generator.bindEvents(this.events);
+        this.player.bindEvents(this.events);
+        this.player.bindFacility(this.system);
+        this.audioSystem.bindEvents(this.events);
+        this.audioSystem.bindStalker(this.stalker);
+
         // [EVENTS]
         window.addEventListener('resize', this.onWindowResize.bind(this));
-        document.addEventListener('keydown', (e) => this.player.onKeyDown(e));
-        document.addEventListener('keyup', (e) => this.player.onKeyUp(e));
+        document.addEventListener('keydown', (e) => this.onKey('down', e));
+        document.addEventListener('keyup', (e) => this.onKey('up', e));
+
+        // [PAUSE MENU]
+        // Clicking it re-locks the pointer (Player's click handler), which resumes.
+        // Replays never take the pointer, so they resume directly; touch has no pointer to take.
+        this.pauseMenu = document.getElementById('pause-menu');
+        this.pauseMenu.addEventListener('click', () => {
+            if (this.isReplaying()) this.states.resume();
+            else if (this.touch && this.touch.active) this.onControlsEngaged();
+        });
+        this.settingsMenu = new SettingsMenu(this.settings, this.pauseMenu, this.strings);
+        document.getElementById('pause-settings').addEventListener('click', (e) => {
+            e.stopPropagation(); // Opening settings must not resume
+            this.settingsMenu.show();
+        });
+
+        // Photosensitivity warning before the first click can start the run
+        if (this.settings.get('flashWarning')) this.showFlashWarning();
+
+        // Fresh runs pick a difficulty first (saves and replays carry their own)
+        if (!this.resumeSave && !this.replayer) this.showTitleScreen();
+
+        // Drop a .replay.json anywhere on the page to watch it
+        window.addEventListener('dragover', (e) => e.preventDefault());
+        window.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const file = e.dataTransfer.files[0];
+            if (file) this.loadReplayFile(file);
+        });
 
         // INTERACTION (Click)
         document.addEventListener('mousedown', (e) => {
@@ -90,75 +238,342 @@ class GameClient {
         // RESET EVENT (Endgame Loop)
         window.addEventListener('reset-simulation', () => {
             // "Game starts over right in the beginning"
-            // Simplest way to ensure clean state: Reload
-            console.log("MAIN: Resetting Simulation...");
-            window.location.reload();
+            this.states.transition(GameState.CONSUMED);
         });
 
         // [AUDIO PRE-START]
         // Browser Policy: Audio must start on user interaction.
         // We start it here (muted) so we can fade it in cleanly later without permission errors.
         document.addEventListener('pointerlockchange', () => {
-            if (document.pointerLockElement) {
-                // Unlock AudioContext but don't start music yet
-                this.audioSystem.resume();
-                if (!this.musicStarted) {
-                    this.musicStarted = true; // Mark as initialized
-                    this.audioSystem.initialize(this.bgMusic);
-                    console.log("MAIN: Audio Context Unlocked - Music Ready");
-                }
+            if (!document.pointerLockElement) {
+                // Lost the mouse (Esc, alt-tab): freeze the run
+                this.pauseGame();
+                return;
             }
+            this.onControlsEngaged();
+        });
+
+        // Last-chance save when the tab goes away
+        window.addEventListener('pagehide', () => {
+            if (this.system.isCorridorActive() && !this.isReplaying()) this.saveRun();
         });
 
         this.clock = new THREE.Clock();
-        this.currentZone = 'INTRO'; // 'INTRO' | 'CORRIDOR'
-        this.startIntro();
+        this.accumulator = 0;
+        this.simTime = 0;
+        this.prevPosition = new THREE.Vector3();
+        this.simPosition = new THREE.Vector3();
+
+        if (this.resumeSave) {
+            this.resumeRun(this.resumeSave);
+            this.resumeSave = null;
+        } else {
+            this.states.transition(GameState.INTRO);
+        }
         this.animate();
     }
 
-    startIntro() {
-        console.log("MAIN: Zone -> INTRO");
-        this.currentZone = 'INTRO';
-        this.generator.createIntroRoom();
-        this.player.controls.getObject().position.set(0, 1.6, 5);
-        // Try to start immediately (if cached)
-        if (this.audioSystem.startClock) this.audioSystem.startClock();
+    resolveSeed() {
+        // A replay carries its own seed (kept for restarts, like a URL seed)
+        if (this.replayer) {
+            this.seedFromUrl = true;
+            this.showSeed(this.replayer.replay.seed);
+            return this.replayer.replay.seed;
+        }
+
+        // Shareable runs: ?seed=XXXX reproduces a corridor, otherwise roll a new one
+        const params = new URLSearchParams(window.location.search);
+        const urlSeed = (params.get('seed') || '').trim();
+        this.seedFromUrl = urlSeed !== '';
+
+        // A different seed in the URL means "play that corridor", not "resume"
+        if (this.resumeSave && urlSeed && urlSeed !== this.resumeSave.generator.seed) {
+            console.log("MAIN: URL seed differs from saved run - starting fresh");
+            this.saves.clear();
+            this.resumeSave = null;
+        }
+
+        const seed = urlSeed || (this.resumeSave && this.resumeSave.generator.seed) || generateSeed();
+        this.showSeed(seed);
+        return seed;
+    }
+
+    showSeed(seed) {
+        // Keep the address bar shareable for the current run
+        const params = new URLSearchParams(window.location.search);
+        if (params.get('seed') !== seed) {
+            params.set('seed', seed);
+            window.history.replaceState(null, '', `${window.location.pathname}?${params}`);
+        }
+
+        const seedEl = document.getElementById('seed-display');
+        if (seedEl) seedEl.innerText = this.strings.t('hud.seed', { seed: seed });
+        const shiftEl = document.getElementById('shift-id');
+        if (shiftEl) shiftEl.innerText = shiftIdFor(seed);
+
+        console.log(`MAIN: Run Seed -> ${seed}`);
+    }
+
+    bindStateHooks() {
+        const S = GameState;
+
+        this.states.onEnter(S.INTRO, (from) => {
+            if (from !== S.BOOT) this.resetSimulation();
+            this.snapInterpolation();
+
+            // Each new run plays the difficulty last chosen on the title screen; a replay plays its recorded one
+            this.applyDifficulty(this.isReplaying()
+                ? restoreDifficulty(this.replayer.replay.difficulty, true)
+                : buildDifficulty(this.settings.get('difficulty'), this.settings));
+
+            // A replay rebuilds the corridor with the layout it was recorded on
+            if (this.isReplaying()) this.generator.setLayout(this.replayer.replay.layout || DEFAULT_TUNING.world);
+
+            // Every run that starts in the intro is recorded (resumed runs are not)
+            if (this.isReplaying()) this.recorder.stop();
+            else this.recorder.start(this.seed, this.difficulty, this.generator.getLayout());
+
+            if (this.telemetry) this.telemetry.start(this.seed, this.difficulty.name);
+        });
+        this.states.onEnter(S.CORRIDOR, (from) => {
+            if (from === S.INTRO) this.enterCorridor();
+        });
+        this.states.onEnter(S.JUMPSCARE, () => {
+            this.saves.clear();
+            this.finishTelemetry('jumpscare');
+            this.triggerJumpscare();
+        });
+        // The endgame is a one-way trip: a refresh from here starts a new run
+        this.states.onEnter(S.ENDGAME, () => this.saves.clear());
+        this.states.onEnter(S.PAUSED, (from) => {
+            // Paused mid-corridor: save now, pagehide won't (the corridor isn't "active" while paused)
+            if ((from === S.CORRIDOR || from === S.PSYCHOSIS_HOLD) && !this.isReplaying()) this.saveRun();
+
+            this.audioSystem.suspend();
+            clearInterval(this.musicFadeInterval);
+            this.bgMusic.pause();
+            if (this.pauseMenu) this.pauseMenu.style.display = 'flex';
+        });
+        this.states.onExit(S.PAUSED, () => {
+            if (this.pauseMenu) this.pauseMenu.style.display = 'none';
+            this.settingsMenu.hide();
+            this.audioSystem.resume();
+
+            // Music picks up where it was (and finishes its fade) if it had started
+            if (this.bgMusic.currentTime > 0) {
+                this.bgMusic.play().catch(e => console.warn("Music play blocked", e));
+                if (this.bgMusic.volume < this.targetVolume) this.fadeInMusic();
+            }
+
+            // No catch-up: the time spent paused never reaches the simulation
+            this.clock.getDelta();
+            this.accumulator = 0;
+        });
+        this.states.onEnter(S.CONSUMED, () => {
+            this.finishTelemetry('consumed');
+            // Deferred to the next frame so we never tear down the world mid-tick
+            this.pendingReset = true;
+        });
+    }
+
+    resetSimulation() {
+        // In-place restart: keeps the unlocked AudioContext, decoded buffers, textures and pointer lock.
+        // Generator, Player, FacilitySystem and AudioSystem reset themselves on entering INTRO.
+        console.log("MAIN: Resetting Simulation...");
+        this.pendingReset = false;
+
+        // A replay covers a single run
+        if (this.replayer) this.endReplay();
+
+        this.saves.clear();
+        this.saveTimer = 0;
+        this.hud.clear();
+        this.comfort.reset();
+        this.captions.clear();
+
+        // 1. Overlays & Timers
+        clearTimeout(this.jumpscareTimeout);
+        const overlay = document.getElementById('jumpscare-overlay');
+        const img = document.getElementById('jumpscare-img');
+        if (overlay) overlay.style.display = 'none';
+        if (img) img.style.transform = 'scale(0.1)';
+
+        // 2. Music (restarts on corridor entry)
+        clearInterval(this.musicFadeInterval);
+        this.bgMusic.pause();
+        this.bgMusic.currentTime = 0;
+        this.bgMusic.volume = 0;
+
+        // 3. New run seed (a seed pinned in the URL is kept for reproduction)
+        if (!this.seedFromUrl) {
+            this.seed = generateSeed();
+            this.showSeed(this.seed);
+        }
+        this.generator.setSeed(this.seed);
+        this.system.setSeed(this.seed);
+
+        this.simTime = 0;
+        this.accumulator = 0;
     }
 
     enterCorridor() {
-        if (this.currentZone === 'CORRIDOR') return; // Debounce
+        // Intro room teardown / corridor build / clock stop happen in the system hooks
+        if (this.musicStarted) this.startMusic();
+    }
+
+    startMusic() {
+        // Start & Fade In Music (From Beginning)
+        this.bgMusic.currentTime = 0;
+        this.bgMusic.volume = 0;
+        this.bgMusic.play().catch(e => console.warn("Music play blocked", e));
+        this.fadeInMusic();
+    }
+
+    saveRun() {
+        const playerState = this.player.getSaveState();
+        this.saves.save({
+            difficulty: this.difficulty,
+            player: playerState,
+            generator: this.generator.getSaveState(playerState.position.z),
+            facility: this.system.getSaveState(),
+            stalker: this.stalker.getSaveState()
+        });
+    }
+
+    resumeRun(save) {
+        // Skip the intro and rebuild the corridor around the saved position
+        console.log(`MAIN: Resuming saved run (v${save.version}, seed ${save.generator.seed})`);
+        this.player.restoreSaveState(save.player);
+        this.generator.restoreSaveState(save.generator, save.player.position.z);
+        this.system.restoreSaveState(save.facility);
+        this.stalker.restoreSaveState(save.stalker);
+        this.applyDifficulty(restoreDifficulty(save.difficulty));
+
+        if (this.telemetry) this.telemetry.start(this.seed, this.difficulty.name, true);
+
+        this.states.transition(GameState.CORRIDOR);
+        this.snapInterpolation();
+
+        // Wait for the player: nothing runs until they click back in
+        this.states.pause();
+    }
+
+    applyDifficulty(difficulty) {
+        this.difficulty = difficulty;
+        this.system.setDifficulty(difficulty);
+        this.stalker.setDifficulty(difficulty);
+        this.audioSystem.setDifficulty(difficulty);
+    }
+
+    // Pointer locked (or the touch scheme took over): always from a user gesture
+    onControlsEngaged() {
+        this.hideTitleScreen();
+
+        // Unlock AudioContext but don't start music yet
+        this.audioSystem.resume();
+        if (this.states.is(GameState.PAUSED)) this.states.resume();
+
+        if (!this.musicStarted) {
+            this.musicStarted = true; // Mark as initialized
+            this.audioSystem.initialize(this.bgMusic);
+            console.log("MAIN: Audio Context Unlocked - Music Ready");
+
+            // Resumed straight into the corridor: music was never started
+            if (this.system.isCorridorActive()) this.startMusic();
+        }
+    }
+
+    pauseGame() {
+        if (this.states.can(GameState.PAUSED)) this.states.pause();
+    }
+
+    onKey(type, e) {
+        // Esc while the pointer is already free (with pointer lock the browser eats Esc
+        // and we get a pointerlockchange instead)
+        if (e.code === 'Escape' && type === 'down') {
+            this.pauseGame();
+            return;
+        }
+
+        // F8: export this run's replay, Shift+F8: the previous run's (e.g. after an endgame)
+        if (e.code === 'F8') {
+            if (type === 'down') this.exportReplay(e.shiftKey);
+            return;
+        }
+
+        // Live input is ignored while a replay drives the player
+        if (this.isReplaying()) return;
+
+        const action = this.inputs.actionFor(e.code);
+        if (!action || e.repeat) return;
 
-        console.log("MAIN: Zone -> CORRIDOR");
-        this.currentZone = 'CORRIDOR';
+        this.recorder.recordAction(type, action);
+        this.player.setAction(action, type === 'down');
+    }
+
+    pollGamepad(frameDelta) {
+        const pad = this.inputs.pollGamepad(frameDelta);
+        if (!pad) return;
 
-        // STOP CLOCK
-        if (this.audioSystem.stopClock) this.audioSystem.stopClock();
+        // Buttons become action presses/releases, recorded like keys
+        this.setPadAction(Action.SPRINT, pad.sprint);
+        this.setPadAction(Action.CROUCH, pad.crouch);
 
-        this.generator.destroyIntroRoom();
+        // Sticks only drive the player while the run has the pointer (same as the mouse)
+        if (!this.player.isLocked) {
+            this.player.setAnalogMove(0, 0);
+            return;
+        }
+        this.player.applyLook(pad.yaw, pad.pitch);
+        this.player.setAnalogMove(pad.moveX, pad.moveY);
+    }
 
-        // 1. Generate Corridor
-        this.generator.createInitialCorridor();
+    setPadAction(action, held) {
+        if (this.padActions[action] === held) return;
+        this.padActions[action] = held;
+        this.recorder.recordAction(held ? 'down' : 'up', action);
+        this.player.setAction(action, held);
+    }
 
-        // 2. Destroy Intro Room (Delayed cleanup possible, keeping for now)
-        // this.generator.destroyIntroRoom(); 
+    isReplaying() {
+        return this.replayer !== null && !this.replayer.finished;
+    }
 
-        // 3. Start & Fade In Music (From Beginning)
-        if (this.musicStarted) {
-            this.bgMusic.currentTime = 0;
-            this.bgMusic.volume = 0;
-            this.bgMusic.play().catch(e => console.warn("Music play blocked", e));
-            this.fadeInMusic();
+    exportReplay(previous) {
+        const replay = previous ? this.recorder.previous : this.recorder.recording;
+        if (!replay) {
+            console.warn("REPLAY: Nothing recorded yet (resumed runs are not recorded)");
+            return;
         }
+        console.log(`REPLAY: Exporting ${replay.ticks} ticks (seed ${replay.seed})`);
+        downloadReplay(replay);
+    }
+
+    loadReplayFile(file) {
+        file.text()
+            .then(text => {
+                const replay = parseReplay(text, FIXED_STEP);
+                // Reload so the replay starts from a clean boot, exactly like the recorded run
+                if (stashReplay(replay)) window.location.reload();
+            })
+            .catch(e => console.warn(e.message || "REPLAY: Could not read replay", e));
+    }
+
+    endReplay() {
+        console.log("REPLAY: Finished - click to take over");
+        this.player.lockOverride = this.touch && this.touch.active ? true : null;
+        this.replayer = null;
+    }
 
-        // 4. Initial Paranoia
-        this.system.paranoia = 0;
+    finishTelemetry(outcome) {
+        if (!this.telemetry) return;
+        const session = this.telemetry.finish(outcome);
+        if (session) downloadTelemetry(session);
     }
 
     // checkIntroInteraction Removed (Walk-through)
 
     triggerJumpscare() {
-        if (this.jumpscareActive) return;
-        this.jumpscareActive = true;
         console.log("MAIN: EASTER EGG TRIGGERED");
 
         // 1. Audio
@@ -169,18 +584,117 @@ class GameClient {
         const img = document.getElementById('jumpscare-img');
 
         if (overlay && img) {
+            this.flashLimiter.note();
+            // Limited: the face fades in over most of a second instead of snapping to full screen
+            const limited = this.flashLimiter.enabled;
+            img.style.opacity = limited ? '0' : '1';
+            img.style.transition = limited
+                ? 'transform 0.8s ease-out, opacity 0.8s ease-in'
+                : 'transform 0.2s cubic-bezier(0.1, 0.7, 1.0, 0.1)';
+
             overlay.style.display = 'flex';
             // Force reflow
             void overlay.offsetWidth;
             img.style.transform = 'scale(1.0)'; // Zoom In to face
+            img.style.opacity = '1';
         }
 
         // 3. Reset
-        setTimeout(() => {
-            window.location.reload();
+        this.jumpscareTimeout = setTimeout(() => {
+            this.pendingReset = true;
         }, 3000);
     }
 
+    showFlashWarning() {
+        const warning = document.getElementById('flash-warning');
+        if (!warning) return;
+
+        // Clicks here must not grab pointer lock and start the run underneath
+        warning.addEventListener('click', (e) => e.stopPropagation());
+
+        const dismiss = (limitFlashing) => {
+            this.settings.set('flashLimiter', limitFlashing);
+            if (document.getElementById('flash-warning-hide').checked) this.settings.set('flashWarning', false);
+            warning.style.display = 'none';
+            console.log(`SETTINGS: Flash limiter ${limitFlashing ? 'ON' : 'OFF'}`);
+        };
+        document.getElementById('flash-warning-limit').addEventListener('click', () => dismiss(true));
+        document.getElementById('flash-warning-continue').addEventListener('click', () => dismiss(false));
+
+        warning.style.display = 'flex';
+    }
+
+    showTitleScreen() {
+        this.titleScreen = document.getElementById('title-screen');
+        if (!this.titleScreen) return;
+
+        this.titleScreen.querySelectorAll('button[data-difficulty]').forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.stopPropagation(); // Choosing must not grab pointer lock and start the run
+                this.selectDifficulty(button.dataset.difficulty);
+            });
+        });
+
+        // Anywhere else starts the run: pointer lock via Player's click handler, or
+        // on touch devices the fullscreen prompt underneath
+        if (this.touch) {
+            document.getElementById('title-hint').innerText = this.strings.t('title.hintTouch');
+            this.titleScreen.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.hideTitleScreen();
+            });
+        }
+
+        this.updateTitleScreen();
+        this.titleScreen.style.display = 'flex';
+    }
+
+    hideTitleScreen() {
+        if (this.titleScreen) this.titleScreen.style.display = 'none';
+    }
+
+    selectDifficulty(name) {
+        this.settings.set('difficulty', name);
+        this.applyDifficulty(buildDifficulty(name, this.settings));
+
+        // Still in the intro, but its recording and telemetry session already started
+        this.recorder.setDifficulty(this.difficulty);
+        if (this.telemetry) this.telemetry.setDifficulty(this.difficulty.name);
+
+        this.updateTitleScreen();
+    }
+
+    updateTitleScreen() {
+        const current = this.settings.get('difficulty');
+        this.titleScreen.querySelectorAll('button[data-difficulty]').forEach(button => {
+            button.classList.toggle('selected', button.dataset.difficulty === current);
+        });
+        document.getElementById('title-description').innerText = this.strings.t(`difficulty.${current}.description`);
+    }
+
+    bindFogTuning() {
+        const apply = () => {
+            // The endgame lifts the fog (kept aside for a restart)
+            const fog = this.scene.fog || this.generator.corridorFog;
+            if (fog) fog.density = this.tuning.get('fog').density;
+        };
+        this.tuning.subscribe(apply);
+        apply();
+    }
+
+    applyGraphicsSettings() {
+        this.renderer.setPixelRatio(window.devicePixelRatio * this.settings.get('resolutionScale'));
+
+        const shadows = this.settings.get('shadows');
+        if (this.renderer.shadowMap.enabled !== shadows) {
+            this.renderer.shadowMap.enabled = shadows;
+            // Shadow support is compiled into the shaders: rebuild them
+            this.scene.traverse(obj => {
+                if (obj.material) obj.material.needsUpdate = true;
+            });
+        }
+    }
+
     onWindowResize() {
         this.camera.aspect = window.innerWidth / window.innerHeight;
         this.camera.updateProjectionMatrix();
@@ -193,8 +707,9 @@ class GameClient {
         const fadeSteps = 30;
         const stepTime = fadeDuration / fadeSteps;
         const volumeStep = this.targetVolume / fadeSteps;
-        let currentStep = 0;
+        let currentStep = Math.round(this.bgMusic.volume / volumeStep); // Continue an interrupted fade
 
+        clearInterval(this.musicFadeInterval);
         const fadeInterval = setInterval(() => {
             currentStep++;
             // Check if user paused or something? No, just fade.
@@ -205,24 +720,88 @@ class GameClient {
                 clearInterval(fadeInterval);
             }
         }, stepTime);
+        this.musicFadeInterval = fadeInterval;
     }
 
     animate() {
         requestAnimationFrame(this.animate.bind(this));
 
-        const delta = this.clock.getDelta();
-        const time = this.clock.getElapsedTime();
+        // [FIXED TIMESTEP]
+        // Simulation advances in constant FIXED_STEP ticks so paranoia rates, event chances
+        // and the survival clock are identical at 30, 60 or 144 fps. Rendering interpolates.
+        const frameDelta = Math.min(this.clock.getDelta(), MAX_FRAME_DELTA);
+        const playerObj = this.player.controls.getObject();
+
+        if (this.pendingReset) this.states.transition(GameState.INTRO);
+
+        // Undo last frame's render interpolation before simulating
+        playerObj.position.copy(this.simPosition);
+
+        // Mouse and gamepad look arrive per frame, so sample turn rate per frame (not per tick)
+        // (a replay supplies the recorded look, movement and samples instead)
+        if (!this.isReplaying()) {
+            this.pollGamepad(frameDelta);
+            this.player.sampleLookRate(frameDelta);
+        }
+
+        this.accumulator += frameDelta;
+        let steps = 0;
+        while (this.accumulator >= FIXED_STEP && steps < MAX_STEPS_PER_FRAME) {
+            this.prevPosition.copy(playerObj.position);
+            this.tick(FIXED_STEP);
+            this.accumulator -= FIXED_STEP;
+            steps++;
+        }
+        // Spiral-of-death guard: drop time we could not simulate
+        if (steps >= MAX_STEPS_PER_FRAME) this.accumulator = 0;
+
+        this.simPosition.copy(playerObj.position);
+
+        // Render between the last two ticks
+        const alpha = this.accumulator / FIXED_STEP;
+        playerObj.position.lerpVectors(this.prevPosition, this.simPosition, alpha);
+
+        this.comfort.update(this.system.getParanoiaFactor(), this.system.getTwistAngle());
+        this.captions.update(frameDelta);
+        if (this.debug) this.debug.update(frameDelta);
+
+        this.player.renderView(() => this.renderer.render(this.scene, this.camera));
+    }
+
+    snapInterpolation() {
+        // Call after teleporting the player outside a tick (no lerp from the old spot)
+        this.simPosition.copy(this.player.controls.getObject().position);
+        this.prevPosition.copy(this.simPosition);
+    }
+
+    tick(delta) {
+        const S = GameState;
+
+        // Run over / suspended: world is frozen until the next transition
+        if (!this.states.is(S.INTRO, S.CORRIDOR, S.PSYCHOSIS_HOLD, S.ENDGAME, S.FALLING)) return;
+
+        this.simTime += delta;
+        const time = this.simTime;
+
+        // [REPLAYS] Input is captured / re-applied at tick boundaries
+        const input = this.isReplaying() ? this.replayer : this.recorder;
+        input.beforeTick(this.player);
+
+        if (this.telemetry) this.telemetry.update(time, this.states.current, this.system, this.player.metrics);
 
         /* ===============================
-        ZONE LOGIC & UPDATES
+        STATE LOGIC & UPDATES
         ================================ */
         let pFactor = 0;
 
-        if (this.currentZone === 'INTRO') {
+        if (this.states.is(S.INTRO)) {
             // [ZONE: INTRO]
             // Retry starting clock if loaded but not playing (e.g., loaded after start)
             if (this.audioSystem.clockBuffer && !this.audioSystem.isClockPlaying) {
-                this.audioSystem.startClock();
+                // Ensure clock starts once loaded/unlocked
+                if (this.audioSystem.ctx && this.audioSystem.ctx.state === 'running') {
+                    this.audioSystem.startClock();
+                }
             }
 
             // Safe, Silent, Static
@@ -231,26 +810,31 @@ class GameClient {
 
             // Trigger: Walk Out (Z < 1.0)
             if (this.player.controls.getObject().position.z < 1.0) {
-                this.enterCorridor();
+                this.states.transition(S.CORRIDOR);
             }
 
             // EASTER EGG: Out of Bounds Jumpscare (Z > 12) REMOVED - Moved to VOID logic
 
-        } else if (this.currentZone === 'CORRIDOR') {
-            // [ZONE: CORRIDOR]
+        } else {
+            // [ZONE: CORRIDOR] (incl. Psychosis Hold / Endgame / Falling)
             // Horror, Infinite, Audio
             pFactor = this.system.getParanoiaFactor();
             this.system.update(time, delta);
-            this.system.updateClock(delta);
-            this.generator.update(this.player.controls.getObject().position.z, delta);
+            this.stalker.update(delta, pFactor, this.system.getDarkness());
 
             // EASTER EGG: Back into the Nothingness (Z > 25)
             // If player exits intro, turns around, and walks into the void where intro was
-            if (this.player.controls.getObject().position.z > 25.0) {
-                this.triggerJumpscare();
+            if (this.player.controls.getObject().position.z > 25.0 && this.states.can(S.JUMPSCARE)) {
+                this.states.transition(S.JUMPSCARE);
             }
         }
 
+        // --- GAME LOOP ---
+        // World streaming + light recovery (also runs in INTRO so the corridor is visible through the door)
+        this.generator.update(this.player.controls.getObject().position.z, delta);
+
+        this.generator.placeStalker(this.stalker.active && this.system.isCorridorActive() ? this.stalker.position : null);
+
         // Pass State to Player (Collisions, Effects)
         const bhPos = this.generator.blackHole ? this.generator.blackHole.position : null;
         this.player.update(
@@ -258,66 +842,51 @@ class GameClient {
             this.generator.interactables,
             this.generator.pillarPositions,
             pFactor,
-            this.generator.isEndgame,
+            this.states.is(S.ENDGAME, S.FALLING),
             bhPos,
             this.generator.corridorEndZ,
-            (this.currentZone === 'INTRO') // Pass isIntro flag
+            this.states.is(S.INTRO) // Pass isIntro flag
         );
 
-        // Audio System Update
-        if (this.currentZone === 'INTRO') {
-            this.audioSystem.update(delta, this.player.metrics, 0);
-        } else {
-            this.audioSystem.update(delta, this.player.metrics, pFactor);
-
-            if (this.system.shouldTriggerWhisper) {
-                this.audioSystem.spawnWhisper(pFactor);
-                this.system.shouldTriggerWhisper = false;
-            }
+        // Stepped off the edge (or through a wall) into the void
+        if (this.player.isFalling && this.states.is(S.ENDGAME)) {
+            this.states.transition(S.FALLING);
         }
 
+        // Audio System Update (whispers arrive via FacilityEvent.WHISPER)
+        this.audioSystem.update(delta, this.player.metrics, pFactor);
+
         this.system.updateClock(delta);
 
-        if (this.currentZone === 'INTRO' && this.audioSystem.clockBuffer && !this.audioSystem.isClockPlaying) {
-            // Ensure clock starts once loaded/unlocked
-            if (this.audioSystem.ctx && this.audioSystem.ctx.state === 'running') {
-                this.audioSystem.startClock();
+        input.afterTick(this.player);
+        if (this.replayer && this.replayer.finished) this.endReplay();
+
+        // Autosave
+        if (this.system.isCorridorActive() && !this.isReplaying()) {
+            this.saveTimer += delta;
+            if (this.saveTimer >= SAVE_INTERVAL) {
+                this.saveTimer = 0;
+                this.saveRun();
             }
         }
 
-        // --- GAME LOOP ---
-        this.generator.update(this.player.controls.getObject().position.z, delta);
-
-        this.generator.updateLights(delta);
-        this.audioSystem.update(delta, this.player.metrics, pFactor);
-
         // Legacy atmosphere removed (handled in Player.js/FacilitySystem.js)
 
         // Light instability (DELEGATED TO FACILITY SYSTEM)
         // Removed to allow event-driven control
 
-        /* ===============================
-        RARE CLOCK DESYNC (every 10s)
-        ================================ */
-
-        if (this._clockDesyncTimer === undefined) {
-            this._clockDesyncTimer = 0;
-        }
-
-        this._clockDesyncTimer += delta;
-
-        if (this._clockDesyncTimer >= 10) {
-            this._clockDesyncTimer = 0;
-            this.clock.elapsedTime -= 0.03;
-        }
-
         /* ===============================
         CAMERA INVERSION (DELEGATED TO SYSTEM)
         ================================ */
         // Logic moved to FacilitySystem.handleRandomEvents
-
-        this.renderer.render(this.scene, this.camera);
     }
 }
 
-new GameClient();
\ No newline at end of file
+// tuning.json and the string table first: the corridor layout must be known before
+// the first chunk is built, and the page's text before it is shown
+const tuning = new Tuning();
+const [strings] = await Promise.all([
+    Localization.load(resolveLocale(window.location.search, navigator.languages || [])),
+    tuning.load()
+]);
+new GameClient(tuning, strings);
\ No newline at end of file
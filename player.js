@@ -1,5 +1,12 @@
 import * as THREE from 'three';
 import { PointerLockControls } from 'three/addons/controls/PointerLockControls.js';
+import { GameState } from './game_state.js';
+import { FacilityEvent } from './event_bus.js';
+import { Action } from './input.js';
+import { stepStamina } from './stamina.js';
+import { PILLAR_SIZE } from './tuning.js';
+
+export const PLAYER_RADIUS = 0.3; // Collision radius against pillars
 
 export class Player {
     constructor(camera, domElement) {
@@ -8,6 +15,11 @@ export class Player {
 
         // [CONTROLS]
         this.controls = new PointerLockControls(camera, domElement);
+        this.lockOverride = null; // Set by replays (recorded lock state) and touch controls, instead of the real pointer
+        this.invertY = false;
+        this.reducedMotion = false; // Comfort mode: no roll/FOV/sway/bob on screen (ComfortOverlay shows them instead)
+        this.facility = null; // Source of the camera twist angle (bindFacility)
+        this.twisting = false;
         this.setupEventListeners();
 
         // [MOVEMENT PARAMETERS]
@@ -18,12 +30,97 @@ export class Player {
         this.moveBackward = false;
         this.moveLeft = false;
         this.moveRight = false;
+        this.analogMove = new THREE.Vector2(); // Gamepad stick: x right, y forward, length = speed (0..1)
         this.moveSpeed = 4.0; // Slow, deliberate walk
         this.friction = 5.0; // High friction for "heavy" stop
         this.acceleration = 30.0; // Gradual start
 
+        // [POSTURE & STAMINA]
+        // Held actions; isSprinting / isCrouching are what actually happens this tick
+        this.sprintHeld = false;
+        this.crouchHeld = false;
+        this.isSprinting = false;
+        this.isCrouching = false;
+        this.sprintMultiplier = 1.7; // Speed multipliers (scale the push, so terminal speed)
+        this.crouchMultiplier = 0.5;
+        this.standHeight = 1.6; // Eye heights
+        this.crouchHeight = 1.0;
+        this.eyeHeight = this.standHeight;
+        this.stamina = 1.0; // 0..1 (rates in stamina.js)
+        this.exhausted = false; // Emptied the tank: no sprint until STAMINA_RESUME
+
         // [BEHAVIOR METRICS]
-        this.metrics = {
+        this.metrics = this.createMetrics();
+
+        this.baseFOV = 75;
+        this.initialFOV = camera.fov;
+        this.swayTime = 0;
+        this.distortionPulse = 0;
+
+        // [RAYCASTER FOR GAZE]
+        this.raycaster = new THREE.Raycaster();
+        this.center = new THREE.Vector2(0, 0); // Center of screen
+        this._facing = new THREE.Vector3(); // Scratch for the heading metric
+
+        // [STATE]
+        this.isFalling = false;
+        this.fadedOut = false;
+        this.endgameLocked = false;
+    }
+
+    bindStateMachine(states) {
+        states.onEnter(GameState.INTRO, (from) => {
+            if (from !== GameState.BOOT) this.reset();
+            this.controls.getObject().position.set(0, 1.6, 5);
+        });
+    }
+
+    bindEvents(events) {
+        // Facility camera twist (roll): update() follows the facility's angle while
+        // one runs. Applied whatever the comfort setting so the simulation is the
+        // same in every mode; renderView() hides it on screen.
+        events.on(FacilityEvent.CAMERA_TWIST_START, () => {
+            this.twisting = true;
+        });
+        events.on(FacilityEvent.CAMERA_TWIST_END, () => {
+            this.twisting = false;
+            this.camera.rotation.z = 0;
+        });
+    }
+
+    // Anything with getTwistAngle() (FacilitySystem)
+    bindFacility(facility) {
+        this.facility = facility;
+    }
+
+    getSaveState() {
+        const pos = this.controls.getObject().position;
+        const look = new THREE.Euler().setFromQuaternion(this.camera.quaternion, 'YXZ');
+        return {
+            position: { x: pos.x, y: pos.y, z: pos.z },
+            yaw: look.y,
+            pitch: look.x,
+            stamina: this.stamina,
+            exhausted: this.exhausted,
+            eyeHeight: this.eyeHeight
+        };
+    }
+
+    restoreSaveState(state) {
+        const pos = this.controls.getObject().position;
+        pos.set(state.position.x, state.position.y, state.position.z);
+        this.camera.quaternion.setFromEuler(new THREE.Euler(state.pitch || 0, state.yaw, 0, 'YXZ'));
+        this.stamina = state.stamina;
+        this.exhausted = state.exhausted;
+        this.eyeHeight = state.eyeHeight; // Stands back up on its own unless crouch is held
+
+        // Avoid a phantom turn/step on the first tick
+        this.metrics.lastPosition.copy(pos);
+        this.metrics.lastYaw = this.camera.rotation.y;
+    }
+
+    createMetrics() {
+        return {
             distanceTraveled: 0,
             stationaryTime: 0,
             continuousForwardTime: 0,
@@ -31,39 +128,115 @@ export class Player {
             isLookingBack: false,
             zoneHistory: [],
             gazeTarget: null,
+            gazeKind: null, // 'wall' / 'pillar' (environment tags them), null for anything else
+            gazeId: null, // Watchable pillars only (see FacilityGenerator.registerProp)
+            facing: { x: 0, z: -1 }, // Camera heading on the floor plan (unit length)
             gazeDuration: 0,
             lastPosition: new THREE.Vector3(),
             totalDistance: 0,
             lookBackCount: 0,
             lastYaw: 0,
             lastActionTime: 0,
-            rotationSpeed: 0
+            rotationSpeed: 0,
+            isSprinting: false,
+            isCrouching: false,
+            stamina: 1.0,
+            noise: 0, // 0 silent .. 1 sprinting (see updateMetrics)
+            backwardAmount: 0, // 0 .. 1 of walking speed, relative to where the camera faces
+            strafeAmount: 0
         };
+    }
 
-        this.baseFOV = 75;
-        this.swayTime = 0;
-
-        // [RAYCASTER FOR GAZE]
-        this.raycaster = new THREE.Raycaster();
-        this.center = new THREE.Vector2(0, 0); // Center of screen
+    reset() {
+        // In-place restart: clear physics, metrics and distortions (position is set by the caller)
+        this.velocity.set(0, 0, 0);
+        this.direction.set(0, 0, 0);
+        this.moveForward = false;
+        this.moveBackward = false;
+        this.moveLeft = false;
+        this.moveRight = false;
+        this.analogMove.set(0, 0);
+        this.sprintHeld = false;
+        this.crouchHeld = false;
+        this.isSprinting = false;
+        this.isCrouching = false;
+        this.eyeHeight = this.standHeight;
+        this.stamina = 1.0;
+        this.exhausted = false;
+
+        this.metrics = this.createMetrics();
+        this._lastZoneCheck = 0;
 
-        // [STATE]
         this.isFalling = false;
         this.fadedOut = false;
         this.endgameLocked = false;
+
+        this.fovSurge = null;
+        this.swayTime = 0;
+        this.distortionPulse = 0;
+        this.camera.fov = this.initialFOV;
+        this.camera.updateProjectionMatrix();
+        this.camera.rotation.set(0, 0, 0); // Face down the corridor again
+    }
+
+    get isLocked() {
+        return this.lockOverride !== null ? this.lockOverride : this.controls.isLocked;
     }
 
     setupEventListeners() {
         this.domElement.addEventListener('click', () => {
-            this.controls.lock();
+            if (this.lockOverride === null) this.controls.lock(); // No mouse look during a replay
         });
+
+        // Invert Y: PointerLockControls has no option for it, so route mouse moves
+        // through a wrapper that flips the vertical movement before they reach it
+        const controls = this.controls;
+        const doc = this.domElement.ownerDocument;
+        if (controls._onMouseMove) {
+            doc.removeEventListener('mousemove', controls._onMouseMove);
+            doc.addEventListener('mousemove', (e) => {
+                if (!this.invertY) return controls._onMouseMove(e);
+                controls._onMouseMove({ movementX: e.movementX, movementY: -e.movementY });
+            });
+        }
+    }
+
+    bindSettings(settings) {
+        const apply = () => {
+            this.controls.pointerSpeed = settings.get('mouseSensitivity');
+            this.invertY = settings.get('invertY');
+            this.reducedMotion = settings.get('reducedMotion');
+            this.setFOV(settings.get('fov'));
+        };
+        settings.subscribe(apply);
+        apply();
+    }
+
+    // Gamepad look (radians this frame), applied like PointerLockControls applies the mouse
+    applyLook(yaw, pitch) {
+        if (yaw === 0 && pitch === 0) return;
+        const euler = new THREE.Euler().setFromQuaternion(this.camera.quaternion, 'YXZ');
+        euler.y -= yaw;
+        euler.x += this.invertY ? -pitch : pitch;
+        euler.x = Math.max(Math.PI / 2 - this.controls.maxPolarAngle, Math.min(Math.PI / 2 - this.controls.minPolarAngle, euler.x));
+        this.camera.quaternion.setFromEuler(euler);
+    }
+
+    setFOV(fov) {
+        // Paranoia FOV breathing oscillates around baseFOV; a restart returns to initialFOV
+        this.baseFOV = fov;
+        this.initialFOV = fov;
+        this.camera.fov = fov;
+        this.camera.updateProjectionMatrix();
     }
 
     update(delta, interactables = [], pillarPositions = [], pFactor = 0, isEndgame = false, blackHolePos = null, edgeZ = null, isIntro = false) {
-        if (!this.controls.isLocked) return;
+        if (!this.isLocked) return;
 
         this.pillarPositions = pillarPositions;
 
+        if (this.twisting && this.facility) this.camera.rotation.z = this.facility.getTwistAngle();
+
         // 1. [PHYSICS / MOVEMENT]
         this.updateMovement(delta, isEndgame, blackHolePos, edgeZ, isIntro);
 
@@ -108,17 +281,48 @@ export class Player {
         // Base intensity maxes at 10. With surge, maxes at 15.
         const fovIntensity = pFactor * 10.0 * intensityMult;
 
-        const fovOffset = Math.sin(this.swayTime * pulseSpeed) * fovIntensity;
-        this.camera.fov = this.baseFOV + fovOffset;
-        this.camera.updateProjectionMatrix();
+        // Exposed for ComfortOverlay: -1..1 breathing phase and surge state
+        this.distortionPulse = Math.sin(this.swayTime * pulseSpeed);
 
-        // 2. CAMERA SWAY
+        // 2. CAMERA SWAY (roll: kept in every mode, see renderView)
         const swayAmount = pFactor * 0.05;
         const sway = Math.sin(this.swayTime * 0.8) * swayAmount;
 
         if (Math.abs(this.camera.rotation.z) < 0.1) {
             this.camera.rotation.z = sway;
         }
+
+        if (this.reducedMotion) return;
+
+        const fovOffset = this.distortionPulse * fovIntensity;
+        this.camera.fov = this.baseFOV + fovOffset;
+        this.camera.updateProjectionMatrix();
+    }
+
+    // Renders with the roll and head bob dropped in reduced motion, then puts them back:
+    // the simulated camera always keeps both.
+    renderView(render) {
+        const roll = this.camera.rotation.z;
+        const height = this.camera.position.y;
+        if (this.reducedMotion) {
+            this.camera.rotation.z = 0;
+            if (!this.isFalling) this.camera.position.y = this.eyeHeight;
+        }
+        render();
+        this.camera.rotation.z = roll;
+        this.camera.position.y = height;
+    }
+
+    sampleLookRate(frameDelta) {
+        // Mouse look is applied once per rendered frame, so turn speed is measured per frame.
+        // Measuring per simulation tick would read 2x then 0 at 30fps.
+        const currentYaw = this.controls.getObject().rotation.y;
+        const deltaYaw = currentYaw - this.metrics.lastYaw;
+        this.metrics.lastYaw = currentYaw;
+
+        if (frameDelta > 0) {
+            this.metrics.rotationSpeed = Math.abs(deltaYaw) / frameDelta;
+        }
     }
 
     updateMovement(delta, isEndgame, blackHolePos, edgeZ, isIntro = false) {
@@ -133,6 +337,9 @@ export class Player {
             this.moveBackward = false;
             this.moveLeft = false;
             this.moveRight = false;
+            this.analogMove.set(0, 0);
+            this.isSprinting = false;
+            this.isCrouching = false;
         }
 
         // --- 2. PHYSICS (VELOCITY) ---
@@ -141,15 +348,24 @@ export class Player {
         this.velocity.z *= damping;
 
         if (!this.isFalling) {
-            this.direction.z = Number(this.moveForward) - Number(this.moveBackward);
-            this.direction.x = Number(this.moveRight) - Number(this.moveLeft);
+            this.direction.z = Number(this.moveForward) - Number(this.moveBackward) + this.analogMove.y;
+            this.direction.x = Number(this.moveRight) - Number(this.moveLeft) + this.analogMove.x;
+
+            // Keys push at full strength; a stick pushes with its tilt, so the terminal
+            // speed (acceleration / friction) scales with how far it is pushed
+            const strength = Math.min(this.direction.length(), 1);
             this.direction.normalize();
 
-            if (this.moveForward || this.moveBackward)
-                this.velocity.z -= this.direction.z * this.acceleration * timeStep;
-            if (this.moveLeft || this.moveRight)
-                this.velocity.x -= this.direction.x * this.acceleration * timeStep;
+            const push = strength * this.updatePosture(timeStep, strength > 0) * this.acceleration * timeStep;
+            this.velocity.z -= this.direction.z * push;
+            this.velocity.x -= this.direction.x * push;
+
+            // Eye height (crouch); head bob in updateMetrics rides on top of it
+            playerPos.y = this.eyeHeight;
 
+            // Controls move along camera.matrix, which is otherwise only refreshed at render time
+            // (so the heading would depend on frame rate). Use this tick's orientation.
+            this.camera.updateMatrix();
             this.controls.moveRight(-this.velocity.x * timeStep);
             this.controls.moveForward(-this.velocity.z * timeStep);
         }
@@ -238,8 +454,8 @@ export class Player {
                     if (!pillar) continue;
                     const dx = Math.abs(playerPos.x - pillar.x);
                     const dz = Math.abs(playerPos.z - pillar.z);
-                    const overlapX = 1.05 - dx; // 0.75 + 0.3
-                    const overlapZ = 1.3 - dz;  // 1.0 + 0.3
+                    const overlapX = PILLAR_SIZE.x / 2 + PLAYER_RADIUS - dx;
+                    const overlapZ = PILLAR_SIZE.z / 2 + PLAYER_RADIUS - dz;
 
                     if (overlapX > 0 && overlapZ > 0) {
                         if (overlapX < overlapZ) {
@@ -255,6 +471,23 @@ export class Player {
         }
     }
 
+    // Returns this tick's speed multiplier
+    updatePosture(timeStep, pushing) {
+        this.isCrouching = this.crouchHeld;
+        this.isSprinting = this.sprintHeld && pushing && !this.isCrouching && !this.exhausted;
+
+        // STAMINA: drains while sprinting, recovers walking or standing still
+        stepStamina(this, this.isSprinting, pushing, timeStep);
+
+        // CROUCH: ease the eyes down / back up
+        const targetHeight = this.isCrouching ? this.crouchHeight : this.standHeight;
+        this.eyeHeight += (targetHeight - this.eyeHeight) * Math.min(1, timeStep * 8.0);
+
+        if (this.isSprinting) return this.sprintMultiplier;
+        if (this.isCrouching) return this.crouchMultiplier;
+        return 1.0;
+    }
+
     updateMetrics(delta, interactables, blackHolePos) {
         const currentPos = this.controls.getObject().position;
 
@@ -280,6 +513,14 @@ export class Player {
             this.metrics.distToVoid = 99999; // Far away if no black hole
         }
 
+        // Heading (FacilitySystem works out what is in view from it)
+        this.camera.getWorldDirection(this._facing);
+        const flat = Math.hypot(this._facing.x, this._facing.z);
+        if (flat > 0.001) {
+            this.metrics.facing.x = this._facing.x / flat;
+            this.metrics.facing.z = this._facing.z / flat;
+        }
+
         // GAZE TRACKING
         this.raycaster.setFromCamera(this.center, this.camera);
         // Only check against supplied interactable objects to save perf
@@ -291,20 +532,21 @@ export class Player {
                 this.metrics.gazeDuration += delta;
             } else {
                 this.metrics.gazeTarget = target;
+                this.metrics.gazeKind = target.userData.gazeKind || null;
+                this.metrics.gazeId = target.userData.gazeId || null;
                 this.metrics.gazeDuration = 0;
             }
         } else {
             this.metrics.gazeTarget = null;
+            this.metrics.gazeKind = null;
+            this.metrics.gazeId = null;
             this.metrics.gazeDuration = 0;
         }
 
         // [NEW] PSYCHOLOGICAL METRICS IMPLEMENTATION
 
-        // 1. Rotation / Look-Back Tracking
-        const currentYaw = this.controls.getObject().rotation.y;
-        const deltaYaw = currentYaw - this.metrics.lastYaw;
-        this.metrics.rotationSpeed = Math.abs(deltaYaw) / delta;
-        this.metrics.lastYaw = currentYaw;
+        // 1. Look-Back Tracking
+        // rotationSpeed is sampled per rendered frame in sampleLookRate()
 
         // Detect rapid turns (Look back)
         if (this.metrics.rotationSpeed > 3.0) { // Threshold for fast turn
@@ -317,7 +559,7 @@ export class Player {
 
         // 2. Continuous Forward Movement
         // Only counting if moving forward AND not moving sideways/back
-        if (this.moveForward && !this.moveBackward && !this.moveLeft && !this.moveRight) {
+        if (this.isPushingForwardOnly()) {
             this.metrics.continuousForwardTime += delta;
         } else {
             this.metrics.continuousForwardTime = 0;
@@ -339,42 +581,51 @@ export class Player {
             }
         }
 
-        // 4. Last Action Timestamp
+        // 4. Posture / Noise (FacilitySystem and AudioSystem read these)
+        this.metrics.isSprinting = this.isSprinting;
+        this.metrics.isCrouching = this.isCrouching;
+        this.metrics.stamina = this.stamina;
+        if (this.metrics.isStationary) this.metrics.noise = 0;
+        else if (this.isSprinting) this.metrics.noise = 1.0;
+        else if (this.isCrouching) this.metrics.noise = 0.2; // Creeping
+        else this.metrics.noise = 0.5;
+
+        // 5. Backward / Sideways Movement (velocity is camera-relative; -Z is forward)
+        const walkSpeed = this.acceleration / this.friction; // Terminal speed at a full push
+        this.metrics.backwardAmount = Math.min(Math.max(0, this.velocity.z) / walkSpeed, 1);
+        this.metrics.strafeAmount = Math.min(Math.abs(this.velocity.x) / walkSpeed, 1);
+
+        // 6. Last Action Timestamp
         if (!this.metrics.isStationary || this.metrics.rotationSpeed > 0.5) {
             this.metrics.lastActionTime = performance.now() / 1000;
         }
 
-        // Bobbing (Head sway)
+        // Bobbing (Head sway). Kept in every mode (the gaze ray starts at the eyes); renderView hides it
         if (!this.metrics.isStationary) {
             const speed = Math.sqrt(this.velocity.x ** 2 + this.velocity.z ** 2);
-            this.camera.position.y = 1.6 + Math.sin(this.metrics.totalDistance * 2.5) * 0.05 * (speed / this.moveSpeed);
+            this.camera.position.y = this.eyeHeight + Math.sin(this.metrics.totalDistance * 2.5) * 0.05 * (speed / this.moveSpeed);
         }
     }
 
-    // Input handlers (call from Main)
-    onKeyDown(event) {
-        switch (event.code) {
-            case 'ArrowUp':
-            case 'KeyW': this.moveForward = true; break;
-            case 'ArrowLeft':
-            case 'KeyA': this.moveLeft = true; break;
-            case 'ArrowDown':
-            case 'KeyS': this.moveBackward = true; break;
-            case 'ArrowRight':
-            case 'KeyD': this.moveRight = true; break;
-        }
+    isPushingForwardOnly() {
+        if (this.moveBackward || this.moveLeft || this.moveRight) return false;
+        // A stick counts when it points mostly straight ahead
+        return this.moveForward || (this.analogMove.y > 0.5 && Math.abs(this.analogMove.x) < this.analogMove.y * 0.3);
     }
 
-    onKeyUp(event) {
-        switch (event.code) {
-            case 'ArrowUp':
-            case 'KeyW': this.moveForward = false; break;
-            case 'ArrowLeft':
-            case 'KeyA': this.moveLeft = false; break;
-            case 'ArrowDown':
-            case 'KeyS': this.moveBackward = false; break;
-            case 'ArrowRight':
-            case 'KeyD': this.moveRight = false; break;
+    // Input handlers (call from Main with actions from InputMapper, or from a replay)
+    setAction(action, active) {
+        switch (action) {
+            case Action.FORWARD: this.moveForward = active; break;
+            case Action.BACKWARD: this.moveBackward = active; break;
+            case Action.LEFT: this.moveLeft = active; break;
+            case Action.RIGHT: this.moveRight = active; break;
+            case Action.SPRINT: this.sprintHeld = active; break;
+            case Action.CROUCH: this.crouchHeld = active; break;
         }
     }
+
+    setAnalogMove(x, y) {
+        this.analogMove.set(x, y);
+    }
 }
@@ -0,0 +1,48 @@
+// [SEEDED RANDOM]
+// Small deterministic PRNG so a run can be reproduced from its seed.
+// createRNG() returns a function with the same contract as Math.random().
+
+const SEED_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O/1/I confusion
+
+export function hashSeed(seed) {
+    // FNV-1a over the string form, then a final avalanche (murmur3 fmix32)
+    const str = String(seed);
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+}
+
+export function createRNG(seed) {
+    // Mulberry32: fast, 32-bit state, good enough for level generation
+    let state = hashSeed(seed);
+    return function () {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Shift ID the HUD shows for a run (e.g. "#894-B"): the same seed is always the same shift
+export function shiftIdFor(seed) {
+    const h = hashSeed(`${seed}#shift`);
+    return `#${100 + (h % 900)}-${SEED_ALPHABET[(h >>> 16) % SEED_ALPHABET.length]}`;
+}
+
+export function generateSeed(length = 6) {
+    // Human-friendly seed for sharing (e.g. "K7QX2M")
+    let seed = '';
+    for (let i = 0; i < length; i++) {
+        seed += SEED_ALPHABET[Math.floor(Math.random() * SEED_ALPHABET.length)];
+    }
+    return seed;
+}
@@ -0,0 +1,200 @@
+import { downloadFile } from './download.js';
+import { SETTINGS_SCHEMA } from './settings.js';
+import { Action, BINDING_SETTINGS } from './input.js';
+
+// [INPUT REPLAYS]
+// Records everything the player feeds into the simulation, per fixed tick, so a run
+// can be re-simulated exactly from its seed: actions pressed/released, analog movement,
+// look (the camera orientation mouse or gamepad produced) and pointer-lock state.
+//
+// Entries are compact arrays: [tick, type, ...data]
+//   [t, 'down', action] / [t, 'up', action] -> Player.setAction (actions, not keys: see input.js)
+//   [t, 'move', x, y]                     -> Player.setAnalogMove (gamepad stick)
+//   [t, 'look', qx, qy, qz, qw]           -> camera orientation after mouse/gamepad look
+//   [t, 'rate', radiansPerSecond]         -> look rate sampled for the rendered frame
+//   [t, 'lock', 0|1]                      -> pointer lock lost / gained
+// An entry is applied just before simulating tick `t`.
+// The header also carries the run's difficulty (name + resolved tuning, see difficulty.js)
+// and corridor layout (tuning.json); replays without them were recorded on Standard with
+// the default layout.
+
+export const REPLAY_FORMAT = 'dontlookback.replay';
+export const REPLAY_VERSION = 2; // v1 recorded key codes (migrated on load, see migrateV1)
+
+// Survives the reload that starts a loaded replay from a clean boot
+const PENDING_KEY = 'dontlookback.pendingReplay';
+
+export class ReplayRecorder {
+    constructor(step) {
+        this.step = step;
+        this.recording = null; // Current run
+        this.previous = null; // Last finished run (so an endgame/jumpscare can still be exported)
+    }
+
+    start(seed, difficulty, layout) {
+        if (this.recording && this.recording.ticks > 0) this.previous = this.recording;
+
+        this.recording = {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            seed: seed,
+            difficulty: difficulty,
+            layout: layout,
+            step: this.step,
+            recordedAt: new Date().toISOString(),
+            ticks: 0,
+            input: []
+        };
+
+        // Last values the simulation saw (null = record on the first tick)
+        this.lastLook = null;
+        this.lastMove = null;
+        this.lastRate = null;
+        this.lastLock = null;
+    }
+
+    // Difficulty changed before the run got going (title screen)
+    setDifficulty(difficulty) {
+        if (this.recording) this.recording.difficulty = difficulty;
+    }
+
+    stop() {
+        if (this.recording && this.recording.ticks > 0) this.previous = this.recording;
+        this.recording = null;
+    }
+
+    recordAction(type, action) {
+        if (!this.recording) return;
+        this.recording.input.push([this.recording.ticks, type, action]);
+    }
+
+    beforeTick(player) {
+        if (!this.recording) return;
+        const t = this.recording.ticks;
+        const input = this.recording.input;
+
+        // Mouse look happens between ticks; anything the tick itself does (roll, sway) replays on its own
+        const q = player.camera.quaternion;
+        const look = [q.x, q.y, q.z, q.w];
+        if (!this.lastLook || look.some((v, i) => v !== this.lastLook[i])) {
+            input.push([t, 'look', ...look]);
+        }
+
+        const move = [player.analogMove.x, player.analogMove.y];
+        if (!this.lastMove || move.some((v, i) => v !== this.lastMove[i])) {
+            input.push([t, 'move', ...move]);
+            this.lastMove = move;
+        }
+
+        const rate = player.metrics.rotationSpeed;
+        if (rate !== this.lastRate) {
+            input.push([t, 'rate', rate]);
+            this.lastRate = rate;
+        }
+
+        const lock = player.isLocked ? 1 : 0;
+        if (lock !== this.lastLock) {
+            input.push([t, 'lock', lock]);
+            this.lastLock = lock;
+        }
+    }
+
+    afterTick(player) {
+        if (!this.recording) return;
+        const q = player.camera.quaternion;
+        this.lastLook = [q.x, q.y, q.z, q.w];
+        this.recording.ticks++;
+    }
+}
+
+export class ReplayPlayer {
+    constructor(replay) {
+        this.replay = replay;
+        this.tick = 0;
+        this.cursor = 0;
+        this.finished = false;
+    }
+
+    beforeTick(player) {
+        if (this.finished) return;
+        const input = this.replay.input;
+
+        while (this.cursor < input.length && input[this.cursor][0] <= this.tick) {
+            const [, type, ...data] = input[this.cursor++];
+            switch (type) {
+                case 'down': player.setAction(data[0], true); break;
+                case 'up': player.setAction(data[0], false); break;
+                case 'move': player.setAnalogMove(data[0], data[1]); break;
+                case 'look': player.camera.quaternion.set(data[0], data[1], data[2], data[3]); break;
+                case 'rate': player.metrics.rotationSpeed = data[0]; break;
+                case 'lock': player.lockOverride = data[0] === 1; break;
+            }
+        }
+    }
+
+    afterTick() {
+        if (this.finished) return;
+        this.tick++;
+        if (this.tick >= this.replay.ticks) this.finished = true;
+    }
+}
+
+export function parseReplay(text, step) {
+    let data = JSON.parse(text);
+
+    if (!data || data.format !== REPLAY_FORMAT) throw new Error("REPLAY: Not a replay file");
+    if (data.version === 1 && Array.isArray(data.input)) data = migrateV1(data);
+    if (data.version !== REPLAY_VERSION) throw new Error(`REPLAY: Unsupported replay v${data.version} (this build reads v${REPLAY_VERSION})`);
+    if (data.step !== step) throw new Error(`REPLAY: Recorded at ${1 / data.step} Hz, this build ticks at ${1 / step} Hz`);
+    if (typeof data.seed !== 'string' || !Array.isArray(data.input)) throw new Error("REPLAY: Malformed replay");
+
+    return data;
+}
+
+// v1 stored key codes from the hardcoded WASD/arrow layout, which is exactly the default
+// bindings of the four walking actions (v1 had no others: a recorded Shift did nothing)
+const V1_ACTIONS = [Action.FORWARD, Action.BACKWARD, Action.LEFT, Action.RIGHT];
+
+function migrateV1(data) {
+    const actionFor = {};
+    for (const action of V1_ACTIONS) {
+        SETTINGS_SCHEMA[BINDING_SETTINGS[action]].default.forEach(code => { actionFor[code] = action; });
+    }
+
+    const input = [];
+    data.input.forEach(entry => {
+        const [tick, type, code] = entry;
+        if (type !== 'down' && type !== 'up') return input.push(entry);
+        if (actionFor[code]) input.push([tick, type, actionFor[code]]); // Other keys never reached the player
+    });
+
+    console.log("REPLAY: Migrated v1 replay (key codes -> actions)");
+    return { ...data, version: REPLAY_VERSION, input: input };
+}
+
+export function downloadReplay(replay) {
+    const stamp = replay.recordedAt.replace(/[:.]/g, '-');
+    downloadFile(`dontlookback-${replay.seed}-${stamp}.replay.json`, JSON.stringify(replay));
+}
+
+// Replays always start from a fresh page so no state from the current run leaks in
+export function stashReplay(replay) {
+    try {
+        window.sessionStorage.setItem(PENDING_KEY, JSON.stringify(replay));
+        return true;
+    } catch (e) {
+        console.warn("REPLAY: Could not stash replay (too large?)", e);
+        return false;
+    }
+}
+
+export function takeStashedReplay() {
+    try {
+        const raw = window.sessionStorage.getItem(PENDING_KEY);
+        window.sessionStorage.removeItem(PENDING_KEY);
+        return raw ? JSON.parse(raw) : null;
+    } catch (e) {
+        console.warn("REPLAY: Stashed replay unreadable", e);
+        return null;
+    }
+}
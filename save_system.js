@@ -0,0 +1,117 @@
+// [RUN SAVES]
+// Persists a corridor run to localStorage so a refresh resumes where you were.
+// Saves are versioned: when the snapshot shape changes, bump SAVE_VERSION and add
+// a MIGRATIONS entry that upgrades the previous version in place.
+
+import { buildDifficulty } from './difficulty.js';
+import { DEFAULT_TUNING } from './tuning.js';
+import { EN_STRINGS } from './localization.js';
+
+export const SAVE_KEY = 'dontlookback.run';
+export const SAVE_VERSION = 6;
+
+// [fromVersion]: (data) => void  -- upgrades data from fromVersion to fromVersion + 1
+const MIGRATIONS = {
+    // v2: stamina and crouch posture (saved standing, fully rested)
+    1: (data) => {
+        if (!data.player) return;
+        data.player.stamina = 1.0;
+        data.player.exhausted = false;
+        data.player.eyeHeight = 1.6;
+    },
+    // v3: difficulty (every run before presets played on Standard)
+    2: (data) => {
+        data.difficulty = buildDifficulty('standard');
+    },
+    // v4: corridor layout (tuning.json); older corridors were built with the defaults
+    3: (data) => {
+        if (!data.generator) return;
+        data.generator.layout = {
+            chunkSize: DEFAULT_TUNING.world.chunkSize,
+            pillarSpacing: DEFAULT_TUNING.world.pillarSpacing
+        };
+    },
+    // v5: recent messages are message ids (they were the English text)
+    4: (data) => {
+        if (!data.facility || !Array.isArray(data.facility.recentMessages)) return;
+        const idFor = {};
+        for (const key in EN_STRINGS) {
+            if (key.startsWith('message.')) idFor[EN_STRINGS[key]] = key.slice('message.'.length);
+        }
+        data.facility.recentMessages = data.facility.recentMessages.map(text => idFor[text]).filter(Boolean);
+    },
+    // v6: the stalker (older runs had none: it starts its approach from the resume)
+    5: (data) => {
+        data.stalker = { active: false, timer: 0, position: { x: 0, z: 0 }, waitTime: 0 };
+    }
+};
+
+export function migrateSave(data) {
+    if (!data || typeof data.version !== 'number') return null;
+
+    if (data.version > SAVE_VERSION) {
+        console.warn(`SAVE: Save v${data.version} is newer than this build (v${SAVE_VERSION}), ignoring`);
+        return null;
+    }
+
+    while (data.version < SAVE_VERSION) {
+        const migrate = MIGRATIONS[data.version];
+        if (!migrate) {
+            console.warn(`SAVE: No migration from v${data.version}, ignoring save`);
+            return null;
+        }
+        migrate(data);
+        data.version++;
+    }
+    return data;
+}
+
+export class SaveSystem {
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+    }
+
+    save(snapshot) {
+        const data = {
+            version: SAVE_VERSION,
+            savedAt: Date.now(),
+            ...snapshot
+        };
+
+        try {
+            this.storage.setItem(SAVE_KEY, JSON.stringify(data));
+            return true;
+        } catch (e) {
+            // Private mode / quota exceeded: the run just isn't resumable
+            console.warn("SAVE: Failed to write save", e);
+            return false;
+        }
+    }
+
+    load() {
+        let raw = null;
+        try {
+            raw = this.storage.getItem(SAVE_KEY);
+        } catch (e) {
+            console.warn("SAVE: Storage unavailable", e);
+            return null;
+        }
+        if (!raw) return null;
+
+        try {
+            const data = migrateSave(JSON.parse(raw));
+            if (!data) this.clear();
+            return data;
+        } catch (e) {
+            console.warn("SAVE: Corrupt save discarded", e);
+            this.clear();
+            return null;
+        }
+    }
+
+    clear() {
+        try {
+            this.storage.removeItem(SAVE_KEY);
+        } catch (e) { }
+    }
+}
@@ -0,0 +1,169 @@
+import { MAX_KEYS_PER_ACTION } from './input.js';
+
+// [SETTINGS]
+// Player preferences, persisted to localStorage. Every setting is declared in
+// SETTINGS_SCHEMA (which also drives the settings menu); systems read them in
+// bindSettings() and re-apply on every change, so edits take effect live.
+
+export const SETTINGS_KEY = 'dontlookback.settings';
+
+// key -> { section, type: 'range' | 'toggle' | 'binding' | 'choice', min/max/step (range), options (choice), default }
+// A 'binding' is a list of up to MAX_KEYS_PER_ACTION key codes (see input.js).
+// menu: false keeps a setting out of the settings menu (it has its own UI).
+// Menu texts are localized: "settings.section.<section>" and "settings.label.<key>" (localization.js).
+export const SETTINGS_SCHEMA = {
+    // GAME
+    // Picked on the title screen; a run keeps the difficulty it started with (presets in difficulty.js)
+    difficulty: { section: 'GAME', type: 'choice', options: ['calm', 'standard', 'nightmare', 'custom'], default: 'standard', menu: false },
+
+    // AUDIO (multipliers on the built-in mix)
+    masterVolume: { section: 'AUDIO', type: 'range', min: 0, max: 1, step: 0.05, default: 1.0 },
+    musicVolume: { section: 'AUDIO', type: 'range', min: 0, max: 1, step: 0.05, default: 1.0 },
+    effectsVolume: { section: 'AUDIO', type: 'range', min: 0, max: 1, step: 0.05, default: 1.0 },
+    ambienceVolume: { section: 'AUDIO', type: 'range', min: 0, max: 1, step: 0.05, default: 1.0 },
+    // Closed captions for footsteps, whispers, heartbeat etc. (see captions.js); height is from the bottom of the screen
+    captions: { section: 'AUDIO', type: 'toggle', default: false },
+    captionPosition: { section: 'AUDIO', type: 'range', min: 0.05, max: 0.85, step: 0.05, default: 0.12 },
+
+    // CONTROLS
+    mouseSensitivity: { section: 'CONTROLS', type: 'range', min: 0.2, max: 3, step: 0.1, default: 1.0 },
+    invertY: { section: 'CONTROLS', type: 'toggle', default: false },
+    bindForward: { section: 'CONTROLS', type: 'binding', default: ['KeyW', 'ArrowUp'] },
+    bindBackward: { section: 'CONTROLS', type: 'binding', default: ['KeyS', 'ArrowDown'] },
+    bindLeft: { section: 'CONTROLS', type: 'binding', default: ['KeyA', 'ArrowLeft'] },
+    bindRight: { section: 'CONTROLS', type: 'binding', default: ['KeyD', 'ArrowRight'] },
+    bindSprint: { section: 'CONTROLS', type: 'binding', default: ['ShiftLeft', 'ShiftRight'] },
+    bindCrouch: { section: 'CONTROLS', type: 'binding', default: ['KeyC'] },
+
+    // TOUCH (phones/tablets, see touch_controls.js)
+    touchLookSensitivity: { section: 'TOUCH', type: 'range', min: 0.2, max: 3, step: 0.1, default: 1.0 },
+
+    // GAMEPAD (standard mapping: left stick moves, right stick looks)
+    gamepadLookSensitivity: { section: 'GAMEPAD', type: 'range', min: 0.2, max: 3, step: 0.1, default: 1.0 },
+    gamepadDeadZone: { section: 'GAMEPAD', type: 'range', min: 0, max: 0.4, step: 0.01, default: 0.15 },
+    // Look response exponent: 1 = linear, higher = finer aim near the center
+    gamepadCurve: { section: 'GAMEPAD', type: 'range', min: 1, max: 3, step: 0.1, default: 2.0 },
+
+    // GRAPHICS
+    fov: { section: 'GRAPHICS', type: 'range', min: 60, max: 100, step: 1, default: 75 },
+    resolutionScale: { section: 'GRAPHICS', type: 'range', min: 0.5, max: 1, step: 0.05, default: 1.0 },
+    shadows: { section: 'GRAPHICS', type: 'toggle', default: true },
+
+    // COMFORT
+    // Camera roll, FOV breathing, sway and head bob become a vignette + color shift. Defaults to the OS preference.
+    reducedMotion: { section: 'COMFORT', type: 'toggle', default: prefersReducedMotion() },
+    // At most 3 flashes per second across lights, mirage and overlays (see flash_limiter.js). Opt-in from the startup warning.
+    flashLimiter: { section: 'COMFORT', type: 'toggle', default: false },
+    flashWarning: { section: 'COMFORT', type: 'toggle', default: true },
+
+    // CUSTOM DIFFICULTY (multipliers on the Standard preset; used by runs started on Custom)
+    customParanoiaGain: { section: 'CUSTOM_DIFFICULTY', type: 'range', min: 0.25, max: 3, step: 0.05, default: 1.0 },
+    customParanoiaDecay: { section: 'CUSTOM_DIFFICULTY', type: 'range', min: 0, max: 3, step: 0.05, default: 1.0 },
+    customPsychosisHold: { section: 'CUSTOM_DIFFICULTY', type: 'range', min: 5, max: 60, step: 1, default: 20 },
+    customEventRate: { section: 'CUSTOM_DIFFICULTY', type: 'range', min: 0, max: 3, step: 0.05, default: 1.0 },
+    customMessageRate: { section: 'CUSTOM_DIFFICULTY', type: 'range', min: 0.25, max: 3, step: 0.05, default: 1.0 },
+    customFootstepRate: { section: 'CUSTOM_DIFFICULTY', type: 'range', min: 0, max: 3, step: 0.05, default: 1.0 },
+    customStalkerSpeed: { section: 'CUSTOM_DIFFICULTY', type: 'range', min: 0, max: 3, step: 0.05, default: 1.0 }
+};
+
+function prefersReducedMotion() {
+    return typeof window !== 'undefined' && typeof window.matchMedia === 'function' &&
+        window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+export class Settings {
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+        this.listeners = [];
+        this.values = this.defaults();
+        this.load();
+    }
+
+    defaults() {
+        const values = {};
+        for (const key in SETTINGS_SCHEMA) {
+            const value = SETTINGS_SCHEMA[key].default;
+            values[key] = Array.isArray(value) ? [...value] : value; // Bindings must not share the schema's array
+        }
+        return values;
+    }
+
+    get(key) {
+        if (!(key in SETTINGS_SCHEMA)) throw new Error(`SETTINGS: Unknown setting "${key}"`);
+        return this.values[key];
+    }
+
+    set(key, value) {
+        const clean = this.validate(key, value);
+        if (clean === null || clean === this.values[key]) return;
+
+        this.values[key] = clean;
+        this.save();
+        this.notify(key);
+    }
+
+    reset() {
+        this.values = this.defaults();
+        this.save();
+        this.notify(null);
+    }
+
+    // fn(key) on every change (key is null after a reset). Returns an unsubscribe function.
+    subscribe(fn) {
+        this.listeners.push(fn);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== fn);
+        };
+    }
+
+    notify(key) {
+        this.listeners.forEach(fn => fn(key));
+    }
+
+    // Returns the cleaned value, or null if it can't be used
+    validate(key, value) {
+        const def = SETTINGS_SCHEMA[key];
+        if (!def) return null;
+
+        if (def.type === 'toggle') return typeof value === 'boolean' ? value : null;
+        if (def.type === 'choice') return def.options.includes(value) ? value : null;
+        if (def.type === 'binding') {
+            if (!Array.isArray(value) || value.length > MAX_KEYS_PER_ACTION) return null;
+            return value.every(code => typeof code === 'string' && code !== '') ? [...value] : null;
+        }
+
+        const num = Number(value);
+        if (!Number.isFinite(num)) return null;
+        return Math.max(def.min, Math.min(def.max, num));
+    }
+
+    load() {
+        let raw = null;
+        try {
+            raw = this.storage.getItem(SETTINGS_KEY);
+        } catch (e) {
+            console.warn("SETTINGS: Storage unavailable, using defaults", e);
+            return;
+        }
+        if (!raw) return;
+
+        try {
+            const stored = JSON.parse(raw);
+            // Unknown/invalid entries fall back to defaults (e.g. settings from an older build)
+            for (const key in SETTINGS_SCHEMA) {
+                const clean = this.validate(key, stored[key]);
+                if (clean !== null) this.values[key] = clean;
+            }
+        } catch (e) {
+            console.warn("SETTINGS: Corrupt settings discarded", e);
+        }
+    }
+
+    save() {
+        try {
+            this.storage.setItem(SETTINGS_KEY, JSON.stringify(this.values));
+        } catch (e) {
+            console.warn("SETTINGS: Failed to save settings", e);
+        }
+    }
+}
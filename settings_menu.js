@@ -0,0 +1,159 @@
+import { SETTINGS_SCHEMA } from './settings.js';
+import { MAX_KEYS_PER_ACTION, RESERVED_KEYS, keyLabel } from './input.js';
+
+// [SETTINGS MENU]
+// Built from SETTINGS_SCHEMA inside the pause menu. Every control writes straight
+// to Settings, which saves and notifies the systems (so changes apply live).
+// Labels are localized: "settings.section.<section>" and "settings.label.<key>".
+export class SettingsMenu {
+    constructor(settings, container, strings) {
+        this.settings = settings;
+        this.strings = strings;
+        this.inputs = {};
+        this.capturing = null; // Binding key waiting for a key press
+
+        this.panel = document.createElement('div');
+        this.panel.id = 'settings-menu';
+        this.panel.style.display = 'none';
+
+        // Clicks inside the menu must not resume the game (the pause menu resumes on click)
+        this.panel.addEventListener('click', (e) => e.stopPropagation());
+
+        let currentSection = null;
+        for (const key in SETTINGS_SCHEMA) {
+            const def = SETTINGS_SCHEMA[key];
+            if (def.menu === false) continue;
+            if (def.section !== currentSection) {
+                currentSection = def.section;
+                const heading = document.createElement('div');
+                heading.className = 'settings-section';
+                heading.innerText = this.strings.t(`settings.section.${def.section}`);
+                this.panel.appendChild(heading);
+            }
+            this.panel.appendChild(this.createRow(key, def));
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'settings-actions';
+        actions.appendChild(this.createButton(this.strings.t('settings.defaults'), () => this.settings.reset()));
+        actions.appendChild(this.createButton(this.strings.t('settings.back'), () => this.hide()));
+        this.panel.appendChild(actions);
+
+        container.appendChild(this.panel);
+
+        // Keep controls in sync with changes made elsewhere (e.g. DEFAULTS)
+        this.settings.subscribe(() => this.refresh());
+        this.refresh();
+    }
+
+    createRow(key, def) {
+        const row = document.createElement('label');
+        row.className = 'settings-row';
+
+        const label = document.createElement('span');
+        label.className = 'settings-label';
+        label.innerText = this.strings.t(`settings.label.${key}`);
+        row.appendChild(label);
+
+        if (def.type === 'binding') {
+            const button = this.createButton('', () => this.captureBinding(key));
+            button.className = 'settings-binding';
+            row.appendChild(button);
+            this.inputs[key] = { input: button, value: null, def };
+            return row;
+        }
+
+        const input = document.createElement('input');
+        if (def.type === 'toggle') {
+            input.type = 'checkbox';
+            input.addEventListener('change', () => this.settings.set(key, input.checked));
+        } else {
+            input.type = 'range';
+            input.min = String(def.min);
+            input.max = String(def.max);
+            input.step = String(def.step);
+            input.addEventListener('input', () => this.settings.set(key, Number(input.value)));
+        }
+        row.appendChild(input);
+
+        const value = document.createElement('span');
+        value.className = 'settings-value';
+        row.appendChild(value);
+
+        this.inputs[key] = { input, value, def };
+        return row;
+    }
+
+    createButton(text, onClick) {
+        const button = document.createElement('button');
+        button.innerText = text;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    // Next key pressed becomes the binding's primary key (Esc cancels).
+    // Captured in the capture phase so the game never sees the key.
+    captureBinding(key) {
+        if (this.capturing) return;
+        this.capturing = key;
+        const button = this.inputs[key].input;
+        button.innerText = this.strings.t('settings.pressKey');
+        button.blur(); // Space/Enter must not re-trigger the button
+
+        const onKey = (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            document.removeEventListener('keydown', onKey, true);
+            this.capturing = null;
+
+            if (RESERVED_KEYS.includes(e.code)) {
+                this.refresh(); // Esc (cancel) or a key the game already uses
+                return;
+            }
+            this.rebind(key, e.code);
+        };
+        document.addEventListener('keydown', onKey, true);
+    }
+
+    rebind(key, code) {
+        // A key drives one action only: take it off any other binding first
+        for (const other in SETTINGS_SCHEMA) {
+            if (other === key || SETTINGS_SCHEMA[other].type !== 'binding') continue;
+            const codes = this.settings.get(other);
+            if (codes.includes(code)) this.settings.set(other, codes.filter(c => c !== code));
+        }
+
+        const codes = [code, ...this.settings.get(key).filter(c => c !== code)];
+        this.settings.set(key, codes.slice(0, MAX_KEYS_PER_ACTION));
+    }
+
+    refresh() {
+        for (const key in this.inputs) {
+            const { input, value, def } = this.inputs[key];
+            const current = this.settings.get(key);
+
+            if (def.type === 'binding') {
+                if (this.capturing !== key) input.innerText = current.length ? current.map(keyLabel).join(' / ') : this.strings.t('settings.unbound');
+            } else if (def.type === 'toggle') {
+                input.checked = current;
+                value.innerText = this.strings.t(current ? 'settings.on' : 'settings.off');
+            } else {
+                input.value = String(current);
+                // Volumes and scales read as percentages, everything else as-is
+                value.innerText = def.max <= 1 ? `${Math.round(current * 100)}%` : String(current);
+            }
+        }
+    }
+
+    show() {
+        this.panel.style.display = 'block';
+    }
+
+    hide() {
+        this.panel.style.display = 'none';
+    }
+
+    get isOpen() {
+        return this.panel.style.display !== 'none';
+    }
+}
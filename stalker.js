@@ -0,0 +1,249 @@
+import { GameState } from './game_state.js';
+import { FacilityEvent } from './event_bus.js';
+import { buildDifficulty } from './difficulty.js';
+import { PILLAR_SIZE } from './tuning.js';
+
+// [STALKER]
+// Something follows the player down the corridor. It only moves while it is not seen:
+// it creeps from pillar to pillar while the player looks ahead, freezes behind cover when
+// the player turns towards it, and falls back to the previous pillar if it is caught in
+// the open. Looking back holds it off, but looking back feeds paranoia. If it reaches
+// the player, the run ends in the jumpscare.
+//
+// Like FacilitySystem it has no DOM/WebGL dependencies and only reads simulation state
+// (metrics, pillar positions, darkness), so it runs headless and replays exactly.
+// FacilityGenerator draws it (placeStalker).
+
+const VIEW_CONE = Math.cos(35 * Math.PI / 180); // Looked at: within this of the player's heading
+const COVER_OFFSET = PILLAR_SIZE.z / 2 + 0.6; // Hiding spot just behind a pillar
+const PILLAR_HALF_X = PILLAR_SIZE.x / 2; // Sight blockers (pillar footprint, rotation ignored)
+const PILLAR_HALF_Z = PILLAR_SIZE.z / 2;
+const ARRIVED = 0.05;
+
+export class Stalker {
+    constructor(player, events, options = {}) {
+        this.player = player;
+        this.events = events;
+        this.world = options.world || null; // Anything with pillarPositions; none (headless) = open corridor
+        this.setDifficulty(options.difficulty || buildDifficulty('standard'));
+        this.reset();
+    }
+
+    // { name, tuning } from buildDifficulty()/restoreDifficulty()
+    setDifficulty(difficulty) {
+        this.tuning = difficulty.tuning;
+    }
+
+    bindStateMachine(states) {
+        this.states = states;
+        states.onEnter(GameState.INTRO, () => this.reset());
+    }
+
+    reset() {
+        this.active = false;
+        this.timer = 0; // Seconds in the corridor before it appears
+        this.position = { x: 0, z: 0 };
+        this.target = null; // Hiding spot it is heading for (null = waiting)
+        this.lunging = false; // No cover left between it and the player
+        this.waitTime = 0;
+        this.seen = false; // In view and not behind cover this tick
+        this.retreating = false;
+        this.near = false; // STALKER_NEAR sent for this approach
+        this.distance = Infinity;
+    }
+
+    // Debug: appear on the next corridor tick
+    summon() {
+        if (!this.active) this.timer = this.tuning.stalkerDelay;
+    }
+
+    getSaveState() {
+        return {
+            active: this.active,
+            timer: this.timer,
+            position: { ...this.position },
+            waitTime: this.waitTime
+        };
+    }
+
+    restoreSaveState(state) {
+        this.reset();
+        if (!state) return;
+        this.active = !!state.active;
+        this.timer = state.timer || 0;
+        if (state.position) this.position = { x: state.position.x, z: state.position.z };
+        this.waitTime = state.waitTime || 0;
+    }
+
+    update(delta, pFactor = 0, darkness = 0) {
+        if (!this.states || !this.states.is(GameState.CORRIDOR, GameState.PSYCHOSIS_HOLD)) return;
+        const t = this.tuning;
+        const pos = this.player.metrics.lastPosition;
+
+        if (!this.active) {
+            this.timer += delta;
+            if (this.timer < t.stalkerDelay) return;
+            this.active = true;
+            this.position = { x: 0, z: pos.z + t.stalkerStartDistance };
+            this.target = null;
+            this.lunging = false;
+            console.log(`SYS: Stalker appeared ${t.stalkerStartDistance}m behind`);
+        }
+
+        // Outrun: it is never further back than stalkerMaxDistance (it catches up out of sight)
+        if (!this.seen && this.position.z > pos.z + t.stalkerMaxDistance) {
+            this.position = this.coverNear(pos.z + t.stalkerMaxDistance) || { x: 0, z: pos.z + t.stalkerMaxDistance };
+            this.target = null;
+            this.lunging = false;
+        }
+
+        // Can't be seen in the dark (blackouts, flickers)
+        const lookedAt = darkness < 0.5 && this.isLookedAt();
+        this.seen = lookedAt && !this.isOccluded();
+
+        if (this.seen) {
+            // Caught in the open: back off to the cover behind it
+            if (!this.retreating) {
+                this.retreating = true;
+                this.lunging = false;
+                this.target = this.coverBehind(this.position.z) || { x: this.position.x, z: pos.z + t.stalkerMaxDistance };
+            }
+            this.moveTowards(this.target, t.stalkerRetreat * delta);
+        } else if (lookedAt) {
+            // Looked at, but behind a pillar: hold still
+            this.waitTime = 0;
+        } else {
+            this.retreating = false;
+            this.advance(delta, pFactor);
+        }
+
+        this.distance = Math.hypot(this.position.x - pos.x, this.position.z - pos.z);
+
+        if (!this.near && this.distance < t.stalkerWarnDistance) {
+            this.near = true;
+            this.events.emit(FacilityEvent.STALKER_NEAR, { distance: this.distance });
+        } else if (this.near && this.distance > t.stalkerWarnDistance * 1.5) {
+            this.near = false;
+        }
+
+        if (this.distance < t.stalkerCatchDistance && this.states.can(GameState.JUMPSCARE)) {
+            console.log("SYS: Stalker reached the player");
+            this.events.emit(FacilityEvent.STALKER_CAUGHT, { distance: this.distance });
+            this.states.transition(GameState.JUMPSCARE);
+        }
+    }
+
+    // Cover to cover while unseen, pausing at each; the last stretch is a straight lunge
+    advance(delta, pFactor) {
+        const t = this.tuning;
+        const pos = this.player.metrics.lastPosition;
+
+        if (!this.target && !this.lunging) {
+            this.waitTime += delta;
+            if (this.waitTime < t.stalkerWait) return;
+            this.target = this.coverAhead(this.position.z, pos.z);
+            this.lunging = !this.target;
+        }
+
+        const goal = this.lunging ? { x: pos.x, z: pos.z } : this.target;
+        const speed = t.stalkerSpeed + pFactor * t.stalkerSpeedPerParanoia;
+        if (this.moveTowards(goal, speed * delta) && !this.lunging) {
+            this.target = null;
+            this.waitTime = 0;
+        }
+    }
+
+    // Returns true on arrival
+    moveTowards(goal, step) {
+        const dx = goal.x - this.position.x;
+        const dz = goal.z - this.position.z;
+        const distance = Math.sqrt(dx * dx + dz * dz);
+        if (distance <= step || distance < ARRIVED) {
+            this.position.x = goal.x;
+            this.position.z = goal.z;
+            return true;
+        }
+        this.position.x += (dx / distance) * step;
+        this.position.z += (dz / distance) * step;
+        return false;
+    }
+
+    // [COVER] Hiding spots sit just behind a pillar, on the side away from the player (+Z)
+
+    pillars() {
+        return this.world ? this.world.pillarPositions : [];
+    }
+
+    spotFor(pillar) {
+        return { x: pillar.x, z: pillar.z + COVER_OFFSET };
+    }
+
+    // Next spot towards the player (still behind them), or null when none is left
+    coverAhead(fromZ, playerZ) {
+        let best = null;
+        for (const pillar of this.pillars()) {
+            const spot = this.spotFor(pillar);
+            if (spot.z >= fromZ - ARRIVED || spot.z <= playerZ + this.tuning.stalkerCatchDistance) continue;
+            if (!best || spot.z > best.z) best = spot;
+        }
+        return best;
+    }
+
+    // Next spot away from the player
+    coverBehind(fromZ) {
+        let best = null;
+        for (const pillar of this.pillars()) {
+            const spot = this.spotFor(pillar);
+            if (spot.z <= fromZ + ARRIVED) continue;
+            if (!best || spot.z < best.z) best = spot;
+        }
+        return best;
+    }
+
+    // Spot closest to z
+    coverNear(z) {
+        let best = null;
+        for (const pillar of this.pillars()) {
+            const spot = this.spotFor(pillar);
+            if (!best || Math.abs(spot.z - z) < Math.abs(best.z - z)) best = spot;
+        }
+        return best;
+    }
+
+    // [SIGHT]
+
+    isLookedAt() {
+        const p = this.player.metrics;
+        const dx = this.position.x - p.lastPosition.x;
+        const dz = this.position.z - p.lastPosition.z;
+        const distance = Math.sqrt(dx * dx + dz * dz);
+        if (distance < 0.001) return true;
+        return (dx * p.facing.x + dz * p.facing.z) / distance > VIEW_CONE;
+    }
+
+    // Any pillar footprint between the player and the stalker (slab test on the floor plan)
+    isOccluded() {
+        const from = this.player.metrics.lastPosition;
+        const dx = this.position.x - from.x;
+        const dz = this.position.z - from.z;
+
+        return this.pillars().some(pillar => {
+            let tMin = 0;
+            let tMax = 1;
+            const axes = [[from.x, dx, pillar.x, PILLAR_HALF_X], [from.z, dz, pillar.z, PILLAR_HALF_Z]];
+            for (const [origin, dir, center, half] of axes) {
+                if (Math.abs(dir) < 1e-6) {
+                    if (Math.abs(origin - center) > half) return false;
+                    continue;
+                }
+                let t1 = (center - half - origin) / dir;
+                let t2 = (center + half - origin) / dir;
+                if (t1 > t2) [t1, t2] = [t2, t1];
+                tMin = Math.max(tMin, t1);
+                tMax = Math.min(tMax, t2);
+                if (tMin > tMax) return false;
+            }
+            return true;
+        });
+    }
+}
@@ -0,0 +1,19 @@
+// [STAMINA]
+// The sprint stamina model. Player.updatePosture and the headless SyntheticPlayer
+// both step it, so a synthetic sprint runs dry exactly when a real one would.
+
+export const STAMINA_DRAIN = 0.2; // Per second sprinting (5s from full)
+export const STAMINA_RECOVERY = 0.12; // Per second walking (doubled standing still)
+export const STAMINA_RESUME = 0.3; // After running dry, sprinting comes back at this much stamina
+
+// state: { stamina: 0..1, exhausted } (updated in place). pushing: moving on purpose this tick.
+export function stepStamina(state, sprinting, pushing, timeStep) {
+    if (sprinting) {
+        state.stamina = Math.max(0, state.stamina - STAMINA_DRAIN * timeStep);
+        if (state.stamina === 0) state.exhausted = true;
+    } else {
+        const recovery = pushing ? STAMINA_RECOVERY : STAMINA_RECOVERY * 2.0;
+        state.stamina = Math.min(1, state.stamina + recovery * timeStep);
+        if (state.exhausted && state.stamina >= STAMINA_RESUME) state.exhausted = false;
+    }
+}
@@ -0,0 +1,129 @@
+import { FacilityEvent } from './event_bus.js';
+import { downloadFile } from './download.js';
+
+// [SESSION TELEMETRY]
+// Samples the paranoia model once per second of simulation and logs every event the
+// facility triggers, so designers can chart paranoia curves across playtests instead
+// of reading console output. Exported as JSON (samples + full event log) and CSV
+// (one row per sampled second, with the events that fired during it).
+
+const SAMPLE_INTERVAL = 1.0; // Seconds of simulation between samples
+
+const CSV_COLUMNS = [
+    'time', 'state', 'paranoia', 'band', 'distance', 'z',
+    'lookingBack', 'lookBackEnergy', 'stationaryTime', 'forwardTime',
+    'sprinting', 'crouching', 'stamina',
+    'events', 'messagePools'
+];
+
+// Logged with their payload (drift/clock are derived state)
+const LOGGED_EVENTS = [
+    FacilityEvent.BLACKOUT_START,
+    FacilityEvent.FLICKER,
+    FacilityEvent.CAMERA_TWIST_START,
+    FacilityEvent.MIRAGE_SHOW,
+    FacilityEvent.WHISPER,
+    FacilityEvent.MESSAGE_SHOWN,
+    FacilityEvent.PARANOIA_BAND_CHANGED,
+    FacilityEvent.ENDGAME_ENTERED,
+    FacilityEvent.PROP_SHIFTED,
+    FacilityEvent.STALKER_NEAR,
+    FacilityEvent.STALKER_CAUGHT
+];
+
+export class TelemetryRecorder {
+    constructor(events, states) {
+        this.session = null;
+        this.time = 0;
+
+        LOGGED_EVENTS.forEach(type => {
+            events.on(type, (payload) => this.log(type, payload));
+        });
+        states.subscribe((from, to) => this.log('state', { from: from, to: to }));
+    }
+
+    start(seed, difficulty, resumed = false) {
+        this.session = {
+            seed: seed,
+            difficulty: difficulty, // Preset name (see difficulty.js)
+            resumed: resumed, // Resumed from a save: survival time and paranoia do not start at 0
+            startedAt: new Date().toISOString(),
+            endedAt: null,
+            outcome: null,
+            samples: [],
+            events: []
+        };
+        this.time = 0;
+        this.nextSample = 0;
+        this.pending = [];
+    }
+
+    setDifficulty(difficulty) {
+        if (this.session) this.session.difficulty = difficulty;
+    }
+
+    log(type, payload) {
+        if (!this.session) return;
+        const entry = { time: round(this.time), type: type, ...payload };
+        this.session.events.push(entry);
+        this.pending.push(entry);
+    }
+
+    // Call at the start of each simulation tick (values are as of the end of the previous tick)
+    update(time, state, system, metrics) {
+        if (!this.session) return;
+        this.time = time;
+        if (time < this.nextSample - 1e-6) return; // Tolerate float drift from summing ticks
+        this.nextSample += SAMPLE_INTERVAL;
+
+        this.session.samples.push({
+            time: round(time),
+            state: state,
+            paranoia: round(system.paranoiaLevel),
+            band: system.statusBand,
+            distance: round(metrics.totalDistance),
+            z: round(metrics.lastPosition.z),
+            lookingBack: metrics.isLookingBack,
+            lookBackEnergy: round(metrics.lookBackCount),
+            stationaryTime: round(metrics.stationaryTime),
+            forwardTime: round(metrics.continuousForwardTime),
+            sprinting: metrics.isSprinting,
+            crouching: metrics.isCrouching,
+            stamina: round(metrics.stamina),
+            events: this.pending.filter(e => e.type !== 'state').map(e => e.type),
+            messagePools: this.pending.filter(e => e.type === FacilityEvent.MESSAGE_SHOWN).map(e => e.pool)
+        });
+        this.pending = [];
+    }
+
+    finish(outcome) {
+        if (!this.session) return null;
+        const session = this.session;
+        session.outcome = outcome;
+        session.endedAt = new Date().toISOString();
+        this.session = null;
+
+        console.log(`TELEMETRY: Run finished (${outcome}), ${session.samples.length} samples, ${session.events.length} events`);
+        return session;
+    }
+}
+
+export function telemetryToCSV(session) {
+    const rows = session.samples.map(sample => CSV_COLUMNS.map(col => {
+        const value = sample[col];
+        if (Array.isArray(value)) return value.join(';');
+        if (typeof value === 'boolean') return value ? 1 : 0;
+        return value === null || value === undefined ? '' : value;
+    }).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+export function downloadTelemetry(session) {
+    const name = `dontlookback-telemetry-${session.seed}-${session.startedAt.replace(/[:.]/g, '-')}`;
+    downloadFile(`${name}.json`, JSON.stringify(session, null, 2));
+    downloadFile(`${name}.csv`, telemetryToCSV(session), 'text/csv');
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
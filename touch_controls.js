@@ -0,0 +1,204 @@
+// [TOUCH CONTROLS]
+// Phones and tablets have no pointer lock, so touch devices get their own scheme:
+//   left half  -> floating virtual joystick (analog movement, same path as a gamepad stick)
+//   right half -> drag to look (same camera path as the mouse, so look-back detection just works)
+// Plus a start prompt that asks for landscape and goes fullscreen, and a pause button.
+// While active, Player.lockOverride stands in for pointer lock.
+
+const JOYSTICK_RADIUS = 60; // Pixels of thumb travel for full speed
+const JOYSTICK_DEAD_ZONE = 0.12;
+const LOOK_RADIANS_PER_PIXEL = 0.005; // At sensitivity 1
+
+export function isTouchDevice() {
+    return typeof window.matchMedia === 'function' &&
+        window.matchMedia('(pointer: coarse)').matches &&
+        navigator.maxTouchPoints > 0;
+}
+
+export class TouchControls {
+    constructor(client) {
+        this.client = client;
+        this.player = client.player;
+        this.active = false; // Player tapped through the start prompt
+        this.sensitivity = 1.0;
+
+        this.joystick = null; // { id, originX, originY }
+        this.look = null; // { id, x, y }
+
+        this.portraitQuery = window.matchMedia('(orientation: portrait)');
+
+        this.buildDom();
+        this.bindTouches();
+
+        this.portraitQuery.addEventListener('change', () => {
+            // Turned to portrait mid-run: pause behind the rotate hint
+            if (this.active && this.portraitQuery.matches) this.client.pauseGame();
+            this.updatePrompt();
+        });
+        // Switching apps never releases a pointer lock here, so pause on hide instead
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden && this.active) this.client.pauseGame();
+        });
+
+        const hint = document.querySelector('#pause-menu .pause-hint');
+        if (hint) hint.innerText = client.strings.t('pause.hintTouch');
+
+        this.updatePrompt();
+        console.log("INPUT: Touch controls enabled");
+    }
+
+    buildDom() {
+        // Input surface: above the canvas, below the pause menu (which must get its own taps)
+        this.layer = document.createElement('div');
+        this.layer.id = 'touch-layer';
+
+        this.stickBase = document.createElement('div');
+        this.stickBase.className = 'touch-stick-base';
+        this.stickKnob = document.createElement('div');
+        this.stickKnob.className = 'touch-stick-knob';
+        this.stickBase.appendChild(this.stickKnob);
+        this.layer.appendChild(this.stickBase);
+
+        const pause = document.createElement('button');
+        pause.id = 'touch-pause';
+        pause.innerText = 'II';
+        pause.addEventListener('touchstart', (e) => e.stopPropagation());
+        pause.addEventListener('click', () => this.client.pauseGame());
+        this.layer.appendChild(pause);
+
+        document.body.appendChild(this.layer);
+
+        // Start prompt (orientation + fullscreen)
+        this.prompt = document.createElement('div');
+        this.prompt.id = 'touch-prompt';
+
+        this.rotateHint = document.createElement('div');
+        this.rotateHint.className = 'touch-rotate';
+        this.rotateHint.innerText = this.client.strings.t('touch.rotate');
+        this.prompt.appendChild(this.rotateHint);
+
+        this.startButton = document.createElement('button');
+        this.startButton.innerText = this.client.strings.t('touch.play');
+        this.startButton.addEventListener('click', () => this.start());
+        this.prompt.appendChild(this.startButton);
+
+        const help = document.createElement('div');
+        help.className = 'touch-help';
+        help.innerText = this.client.strings.t('touch.help');
+        this.prompt.appendChild(help);
+
+        // Taps here must not reach Player's click handler
+        this.prompt.addEventListener('click', (e) => e.stopPropagation());
+        document.body.appendChild(this.prompt);
+    }
+
+    bindSettings(settings) {
+        const apply = () => {
+            this.sensitivity = settings.get('touchLookSensitivity');
+        };
+        settings.subscribe(apply);
+        apply();
+    }
+
+    start() {
+        // Both need this user gesture; neither is available everywhere (e.g. iPhone Safari)
+        const root = document.documentElement;
+        if (root.requestFullscreen) {
+            root.requestFullscreen()
+                .then(() => screen.orientation && screen.orientation.lock ? screen.orientation.lock('landscape') : null)
+                .catch(e => console.warn("INPUT: Fullscreen/orientation lock unavailable", e));
+        }
+
+        this.active = true;
+        // Stands in for pointer lock (and keeps Player's click handler from requesting it)
+        if (!this.client.isReplaying()) this.player.lockOverride = true;
+        this.updatePrompt();
+        this.client.onControlsEngaged();
+    }
+
+    updatePrompt() {
+        const portrait = this.portraitQuery.matches;
+        this.rotateHint.style.display = portrait ? 'block' : 'none';
+        this.startButton.style.display = this.active ? 'none' : 'block';
+        this.prompt.style.display = (!this.active || portrait) ? 'flex' : 'none';
+    }
+
+    // Replays drive the player themselves; touches only steer a live run
+    get steering() {
+        return this.active && !this.client.isReplaying() && this.player.isLocked;
+    }
+
+    bindTouches() {
+        const opts = { passive: false }; // preventDefault: no scrolling, zooming or synthetic clicks
+        this.layer.addEventListener('touchstart', (e) => this.onTouchStart(e), opts);
+        this.layer.addEventListener('touchmove', (e) => this.onTouchMove(e), opts);
+        this.layer.addEventListener('touchend', (e) => this.onTouchEnd(e), opts);
+        this.layer.addEventListener('touchcancel', (e) => this.onTouchEnd(e), opts);
+    }
+
+    onTouchStart(e) {
+        e.preventDefault();
+        for (const touch of e.changedTouches) {
+            if (touch.clientX < window.innerWidth / 2) {
+                if (this.joystick) continue;
+                this.joystick = { id: touch.identifier, originX: touch.clientX, originY: touch.clientY };
+                this.stickBase.style.left = `${touch.clientX}px`;
+                this.stickBase.style.top = `${touch.clientY}px`;
+                this.stickBase.style.display = 'block';
+                this.moveKnob(0, 0);
+            } else if (!this.look) {
+                this.look = { id: touch.identifier, x: touch.clientX, y: touch.clientY };
+            }
+        }
+    }
+
+    onTouchMove(e) {
+        e.preventDefault();
+        for (const touch of e.changedTouches) {
+            if (this.joystick && touch.identifier === this.joystick.id) {
+                this.updateJoystick(touch.clientX - this.joystick.originX, touch.clientY - this.joystick.originY);
+            } else if (this.look && touch.identifier === this.look.id) {
+                const dx = touch.clientX - this.look.x;
+                const dy = touch.clientY - this.look.y;
+                this.look.x = touch.clientX;
+                this.look.y = touch.clientY;
+
+                // Drag right turns right, drag up looks up (Player applies invert Y)
+                const k = LOOK_RADIANS_PER_PIXEL * this.sensitivity;
+                if (this.steering) this.player.applyLook(dx * k, -dy * k);
+            }
+        }
+    }
+
+    onTouchEnd(e) {
+        e.preventDefault();
+        for (const touch of e.changedTouches) {
+            if (this.joystick && touch.identifier === this.joystick.id) {
+                this.joystick = null;
+                this.stickBase.style.display = 'none';
+                if (!this.client.isReplaying()) this.player.setAnalogMove(0, 0);
+            } else if (this.look && touch.identifier === this.look.id) {
+                this.look = null;
+            }
+        }
+    }
+
+    updateJoystick(dx, dy) {
+        // Clamp to the base, then map to -1..1 with +Y forward (screen Y points down)
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        const scale = distance > JOYSTICK_RADIUS ? JOYSTICK_RADIUS / distance : 1;
+        dx *= scale;
+        dy *= scale;
+        this.moveKnob(dx, dy);
+
+        let x = dx / JOYSTICK_RADIUS;
+        let y = -dy / JOYSTICK_RADIUS;
+        if (Math.sqrt(x * x + y * y) < JOYSTICK_DEAD_ZONE) x = y = 0;
+
+        if (this.steering) this.player.setAnalogMove(x, y);
+    }
+
+    moveKnob(dx, dy) {
+        this.stickKnob.style.transform = `translate(calc(-50% + ${dx}px), calc(-50% + ${dy}px))`;
+    }
+}
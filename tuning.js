@@ -0,0 +1,165 @@
+// [TUNING]
+// World, lighting, fog and audio constants, loaded from tuning.json so designers can
+// tune them without touching code (gameplay rates live in difficulty.js). DEFAULT_TUNING
+// mirrors the shipped file: a missing or broken file just means defaults.
+// With ?tuning in the URL the file is re-fetched every WATCH_INTERVAL seconds and
+// changes apply live; systems read it in bindTuning(), the same way as settings.
+
+export const TUNING_URL = 'tuning.json';
+const WATCH_INTERVAL = 2.0; // Seconds
+
+export const DEFAULT_TUNING = {
+    // Corridor layout. chunkSize and pillarSpacing shape the seeded layout, so they
+    // apply from the next corridor built (a run never changes layout halfway).
+    world: {
+        chunkSize: 20,
+        renderDistance: 80, // How far ahead chunks are generated
+        pillarSpacing: 8
+    },
+    lights: {
+        intensity: 1.5, // Before per-chunk dimming drift
+        minIntensity: 0.1, // Never fully black
+        range: 12
+    },
+    fog: {
+        density: 0.02
+    },
+    audio: {
+        heartbeatMinBPM: 50, // At rest
+        heartbeatMaxBPM: 150, // Max paranoia / exertion
+        whisperIntervalCalm: [10, 20], // Seconds between whispers (min, max), towards 0% paranoia (they start at 20%)...
+        whisperIntervalPanic: [2, 5], // ...and at 100%
+        footstepDuration: 12, // Seconds phantom footsteps follow a moving player
+        footstepGrace: 1.5 // Seconds they carry on after the player stops
+    }
+};
+
+// Pillar footprint in meters (x across the corridor, z along it). Fixed rather than in
+// tuning.json: the colliders, the stalker's cover and its sight lines are built around it.
+export const PILLAR_SIZE = { x: 1.5, z: 2 };
+
+// Lower bounds beyond "not negative" (zero here would stall generation or the heartbeat)
+const MINIMUMS = {
+    'world.chunkSize': 1,
+    'world.renderDistance': 1,
+    'world.pillarSpacing': 1,
+    'audio.heartbeatMinBPM': 1,
+    'audio.heartbeatMaxBPM': 1
+};
+
+// [min, max] entries checked against each other (a [min, max] array is checked on its own)
+const RANGES = [
+    ['audio.heartbeatMinBPM', 'audio.heartbeatMaxBPM'],
+    ['lights.minIntensity', 'lights.intensity']
+];
+
+export class Tuning {
+    constructor(url = TUNING_URL) {
+        this.url = url;
+        this.values = clone(DEFAULT_TUNING);
+        this.listeners = [];
+        this.lastText = null; // Body of the last fetch (unchanged file = nothing to do)
+        this.loading = false;
+        this.watchTimer = null;
+    }
+
+    get(section) {
+        if (!(section in DEFAULT_TUNING)) throw new Error(`TUNING: Unknown section "${section}"`);
+        return this.values[section];
+    }
+
+    // fn(changed) after every reload that changed something (changed = ['world.chunkSize', ...]).
+    // Returns an unsubscribe function.
+    subscribe(fn) {
+        this.listeners.push(fn);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== fn);
+        };
+    }
+
+    // Resolves to true if the file changed anything. Never rejects.
+    async load() {
+        if (this.loading) return false;
+        this.loading = true;
+        try {
+            const response = await fetch(this.url, { cache: 'no-store' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const text = await response.text();
+            if (text === this.lastText) return false;
+            this.lastText = text;
+            return this.apply(JSON.parse(text));
+        } catch (e) {
+            console.warn(`TUNING: Could not load ${this.url}, keeping current values`, e);
+            return false;
+        } finally {
+            this.loading = false;
+        }
+    }
+
+    watch() {
+        if (this.watchTimer) return;
+        this.watchTimer = setInterval(() => this.load(), WATCH_INTERVAL * 1000);
+        console.log(`TUNING: Watching ${this.url} (every ${WATCH_INTERVAL}s)`);
+    }
+
+    // Entries missing from the file keep their defaults; unknown or invalid ones are reported and ignored
+    apply(data) {
+        const next = clone(DEFAULT_TUNING);
+        const changed = [];
+
+        for (const section in data) {
+            if (!(section in DEFAULT_TUNING)) {
+                console.warn(`TUNING: Unknown section "${section}"`);
+                continue;
+            }
+            for (const key in data[section]) {
+                const clean = validate(DEFAULT_TUNING[section][key], data[section][key], MINIMUMS[`${section}.${key}`] || 0);
+                if (clean === null) {
+                    console.warn(`TUNING: Ignoring ${section}.${key}`);
+                    continue;
+                }
+                next[section][key] = clean;
+            }
+        }
+
+        // An inverted pair is ignored as a whole: both keep their defaults
+        for (const [minPath, maxPath] of RANGES) {
+            const [minSection, minKey] = minPath.split('.');
+            const [maxSection, maxKey] = maxPath.split('.');
+            if (next[minSection][minKey] <= next[maxSection][maxKey]) continue;
+            console.warn(`TUNING: Ignoring ${minPath} and ${maxPath} (${minPath} is above ${maxPath})`);
+            next[minSection][minKey] = DEFAULT_TUNING[minSection][minKey];
+            next[maxSection][maxKey] = DEFAULT_TUNING[maxSection][maxKey];
+        }
+
+        for (const section in next) {
+            for (const key in next[section]) {
+                if (JSON.stringify(next[section][key]) !== JSON.stringify(this.values[section][key])) {
+                    changed.push(`${section}.${key}`);
+                }
+            }
+        }
+        if (changed.length === 0) return false;
+
+        this.values = next;
+        console.log(`TUNING: Applied ${changed.join(', ')}`);
+        this.listeners.forEach(fn => fn(changed));
+        return true;
+    }
+}
+
+// Same shape as the default: a number (>= min), or a [min, max] pair
+function validate(fallback, value, min) {
+    const isNumber = (v) => typeof v === 'number' && Number.isFinite(v) && v >= min;
+
+    if (fallback === undefined) return null;
+    if (Array.isArray(fallback)) {
+        if (!Array.isArray(value) || value.length !== fallback.length || !value.every(isNumber)) return null;
+        return value[0] <= value[1] ? [...value] : null;
+    }
+    return isNumber(value) ? value : null;
+}
+
+function clone(tuning) {
+    return JSON.parse(JSON.stringify(tuning));
+}